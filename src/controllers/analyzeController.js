@@ -5,10 +5,28 @@
 
 const fs = require('fs');
 const path = require('path');
-const ffmpeg = require('fluent-ffmpeg');
 const { analyzeWithGemini } = require('../services/geminiService');
-const { analyzeFrames } = require('../services/frameAnalysisService');
+const { parseFrameAnalysisOptions, analyzeFrames } = require('../services/frameAnalysisService');
 const { analyzeAudio } = require('../services/audioAnalysisService');
+const { refineLoopPoints } = require('../services/loopRefinementService');
+const { probeMedia, conformToCfr, nearestStandardFrameRate } = require('../services/mediaProbeService');
+const { parseRegions, buildRegionFilters } = require('../services/regionOfInterestService');
+const { parseStabilizationOptions, stabilizeMedia } = require('../services/stabilizationService');
+const { parseSceneChangeThreshold } = require('../services/sceneDetectionService');
+const {
+  hashFile,
+  computeCacheKey,
+  isValidCacheKey,
+  getCachedAnalysis,
+  listCachedAnalyses,
+  storeAnalysis,
+  invalidateAnalysis
+} = require('../services/analysisCacheService');
+const {
+  collectLoopCandidates,
+  fuseLoopCandidates,
+  parseFusionWeights
+} = require('../services/candidateFusionService');
 
 /**
  * Analyze media file for potential loop points
@@ -22,42 +40,175 @@ async function analyze(req, res) {
     const mediaPath = req.file.path;
     const options = req.body;
     
-    // Get basic media information using ffmpeg
-    const mediaInfo = await getMediaInfo(mediaPath);
+    // Per-signal weights for candidate fusion, e.g. {"visual": 1, "audio": 0.5}
+    let fusionWeights;
+    try {
+      fusionWeights = parseFusionWeights(options.fusionWeights);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid fusionWeights',
+        error: error.message
+      });
+    }
     
-    // Analyze visual content for potential loop points
-    const frameAnalysis = await analyzeFrames(mediaPath, {
-      sampleRate: options.frameSampleRate || 1, // Frames per second to analyze
-      motionThreshold: options.motionThreshold || 0.1,
-      sceneChangeThreshold: options.sceneChangeThreshold || 0.3
-    });
+    // Frames per second to analyze and the motion level that counts as moving
+    let frameOptions;
+    try {
+      frameOptions = parseFrameAnalysisOptions(options);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid frame analysis options',
+        error: error.message
+      });
+    }
     
-    // Analyze audio for potential loop points (if audio stream exists)
-    let audioAnalysis = null;
-    if (mediaInfo.audio) {
-      audioAnalysis = await analyzeAudio(mediaPath, {
-        silenceThreshold: options.silenceThreshold || -30, // dB
-        minimumSilenceDuration: options.minimumSilenceDuration || 0.1 // seconds
+    // Scene score (0-1) above which a frame is a hard cut
+    let sceneChangeThreshold;
+    try {
+      sceneChangeThreshold = parseSceneChangeThreshold(options.sceneChangeThreshold);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid sceneChangeThreshold',
+        error: error.message
+      });
+    }
+    
+    // Optional region of interest: {x, y, width, height} or {include: [...], exclude: [...]}
+    let regions;
+    try {
+      regions = parseRegions(options.roi);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid roi',
+        error: error.message
       });
     }
+    const regionFilters = buildRegionFilters(regions);
+    
+    // Optional stabilization pre-pass for handheld footage
+    let stabilization;
+    try {
+      stabilization = parseStabilizationOptions(options);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid stabilization options',
+        error: error.message
+      });
+    }
+    
+    // Reuse a previous analysis of the same content with the same options
+    const useCache = options.cache !== 'false';
+    const contentHash = await hashFile(mediaPath);
+    const cacheKey = computeCacheKey(contentHash, options);
+    if (useCache) {
+      const cached = await getCachedAnalysis(cacheKey);
+      if (cached) {
+        return res.json({
+          success: true,
+          cached: true,
+          cacheKey,
+          analysis: cached.analysis
+        });
+      }
+    }
+    
+    // Get basic media information, checking packet timing for variable frame rate
+    let mediaInfo = await probeMedia(mediaPath, { inspectPackets: true });
+    
+    // Analyze the stabilized proxy; optimize reuses the same cached proxy.
+    // Audio-only input has nothing to stabilize, so it is analyzed as is
+    let stabilizedPath = mediaPath;
+    let stabilizationInfo = null;
+    if (stabilization && mediaInfo.video) {
+      const stabilized = await stabilizeMedia(mediaPath, stabilization);
+      stabilizedPath = stabilized.path;
+      stabilizationInfo = { method: stabilized.method, settings: stabilized.settings };
+      mediaInfo = await probeMedia(stabilizedPath, { inspectPackets: true });
+    }
     
-    // Use Gemini API to provide intelligent analysis if enabled
+    // Conform VFR footage to a constant rate so frame indices map to the right times
+    let analysisPath = stabilizedPath;
+    let frameAnalysis;
+    let audioAnalysis = null;
     let geminiAnalysis = null;
-    if (options.useAI !== 'false') {
-      geminiAnalysis = await analyzeWithGemini(mediaPath, frameAnalysis, audioAnalysis);
+    let recommendedLoopPoints;
+    try {
+      if (mediaInfo.video && mediaInfo.video.variableFrameRate && options.conformVfr !== 'false') {
+        const frameRate = parseFloat(options.conformFrameRate) ||
+          nearestStandardFrameRate(mediaInfo.video.averageFrameRate || mediaInfo.video.frameRate);
+        analysisPath = await conformToCfr(stabilizedPath, frameRate);
+        mediaInfo.video.frameRate = frameRate;
+        mediaInfo.video.conformedFrameRate = frameRate;
+      }
+      
+      // Analyze visual content for potential loop points
+      frameAnalysis = await analyzeFrames(analysisPath, {
+        sampleRate: frameOptions.sampleRate,
+        motionThreshold: frameOptions.motionThreshold,
+        sceneChangeThreshold,
+        allowSceneCuts: options.allowSceneCuts === 'true', // Permit loops spanning hard cuts
+        regionFilters
+      });
+      
+      // Analyze audio for potential loop points (if audio stream exists)
+      if (mediaInfo.audio) {
+        audioAnalysis = await analyzeAudio(analysisPath, {
+          silenceThreshold: options.silenceThreshold || -30, // dB
+          minimumSilenceDuration: options.minimumSilenceDuration || 0.1, // seconds
+          beatsPerBar: options.beatsPerBar || 4, // Time signature numerator for downbeats
+          minLoopDuration: options.minLoopDuration, // seconds
+          maxLoopDuration: options.maxLoopDuration // seconds
+        });
+      }
+      
+      // Use Gemini API to provide intelligent analysis if enabled
+      if (options.useAI !== 'false') {
+        geminiAnalysis = await analyzeWithGemini(mediaPath, frameAnalysis, audioAnalysis);
+      }
+      
+      // Combine analysis results into recommended loop points
+      recommendedLoopPoints = determineRecommendedLoopPoints(frameAnalysis, audioAnalysis, geminiAnalysis, {
+        weights: fusionWeights,
+        mergeTolerance: parseFloat(options.fusionTolerance) || undefined // seconds
+      });
+      
+      // Refine the top candidates to exact frames at the native frame rate
+      if (mediaInfo.video && options.refineLoopPoints !== 'false') {
+        recommendedLoopPoints = await refineLoopPoints(analysisPath, recommendedLoopPoints, {
+          frameRate: mediaInfo.video.frameRate,
+          window: parseFloat(options.refinementWindow) || undefined,
+          filters: regionFilters
+        });
+      }
+    } finally {
+      // Clean up the conformed copy, even when analysis fails (the stabilized proxy stays cached)
+      if (analysisPath !== stabilizedPath) {
+        fs.rmSync(analysisPath, { force: true });
+      }
     }
     
-    // Combine all analysis results
     const analysis = {
       mediaInfo,
+      stabilization: stabilizationInfo,
       frameAnalysis,
       audioAnalysis,
       geminiAnalysis,
-      recommendedLoopPoints: determineRecommendedLoopPoints(frameAnalysis, audioAnalysis, geminiAnalysis)
+      recommendedLoopPoints
     };
     
+    if (useCache) {
+      await storeAnalysis(cacheKey, contentHash, options, analysis);
+    }
+    
     res.json({
       success: true,
+      cached: false,
+      cacheKey,
       analysis
     });
   } catch (error) {
@@ -71,80 +222,81 @@ async function analyze(req, res) {
 }
 
 /**
- * Get basic media information using ffmpeg
+ * Look up a cached analysis by cache key, or list a file's cached analyses by content hash
  */
-async function getMediaInfo(mediaPath) {
-  return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(mediaPath, (err, metadata) => {
-      if (err) return reject(err);
-      
-      const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-      const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
-      
-      resolve({
-        duration: metadata.format.duration,
-        format: metadata.format.format_name,
-        size: metadata.format.size,
-        video: videoStream ? {
-          codec: videoStream.codec_name,
-          width: videoStream.width,
-          height: videoStream.height,
-          frameRate: eval(videoStream.r_frame_rate),
-          bitRate: videoStream.bit_rate
-        } : null,
-        audio: audioStream ? {
-          codec: audioStream.codec_name,
-          channels: audioStream.channels,
-          sampleRate: audioStream.sample_rate,
-          bitRate: audioStream.bit_rate
-        } : null
-      });
+async function getCached(req, res) {
+  try {
+    const key = req.params.key;
+    if (!isValidCacheKey(key)) {
+      return res.status(400).json({ success: false, message: 'Invalid cache key' });
+    }
+    
+    if (!key.includes('-')) {
+      const entries = await listCachedAnalyses(key);
+      return res.json({ success: true, contentHash: key, entries });
+    }
+    
+    const cached = await getCachedAnalysis(key);
+    if (!cached) {
+      return res.status(404).json({ success: false, message: 'No cached analysis found' });
+    }
+    
+    res.json({
+      success: true,
+      cached: true,
+      cacheKey: key,
+      createdAt: cached.createdAt,
+      options: cached.options,
+      analysis: cached.analysis
     });
-  });
+  } catch (error) {
+    console.error('Error reading analysis cache:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reading analysis cache',
+      error: error.message
+    });
+  }
 }
 
 /**
- * Determine recommended loop points based on all analysis data
+ * Invalidate a cached analysis, or every cached analysis of a file by content hash
  */
-function determineRecommendedLoopPoints(frameAnalysis, audioAnalysis, geminiAnalysis) {
-  // Start with Gemini's recommendations if available
-  if (geminiAnalysis && geminiAnalysis.recommendedLoopPoints) {
-    return geminiAnalysis.recommendedLoopPoints;
-  }
-  
-  // Otherwise use a combination of frame and audio analysis
-  const points = [];
-  
-  // Add potential loop points from frame analysis
-  if (frameAnalysis && frameAnalysis.potentialLoopPoints) {
-    for (const point of frameAnalysis.potentialLoopPoints) {
-      points.push({
-        startTime: point.startTime,
-        endTime: point.endTime,
-        confidence: point.confidence,
-        reason: point.reason
-      });
+async function invalidateCached(req, res) {
+  try {
+    const key = req.params.key;
+    if (!isValidCacheKey(key)) {
+      return res.status(400).json({ success: false, message: 'Invalid cache key' });
     }
-  }
-  
-  // Add potential loop points from audio analysis
-  if (audioAnalysis && audioAnalysis.silencePoints) {
-    for (const silence of audioAnalysis.silencePoints) {
-      points.push({
-        startTime: silence.start,
-        endTime: silence.end,
-        confidence: silence.confidence,
-        reason: 'Audio silence'
-      });
+    
+    const removed = await invalidateAnalysis(key);
+    if (removed === 0) {
+      return res.status(404).json({ success: false, message: 'No cached analysis found' });
     }
+    
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Error invalidating analysis cache:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error invalidating analysis cache',
+      error: error.message
+    });
   }
+}
+
+/**
+ * Determine recommended loop points based on all analysis data
+ */
+function determineRecommendedLoopPoints(frameAnalysis, audioAnalysis, geminiAnalysis, fusionOptions) {
+  const candidates = collectLoopCandidates(frameAnalysis, audioAnalysis, geminiAnalysis);
+  const silencePoints = audioAnalysis ? audioAnalysis.silencePoints : null;
   
-  // Sort by confidence
-  points.sort((a, b) => b.confidence - a.confidence);
-  
-  return points.slice(0, 5); // Return top 5 recommendations
+  return fuseLoopCandidates(candidates, silencePoints, fusionOptions);
 }
 
 module.exports = {
-  analyze
+  analyze,
+  getCached,
+  invalidateCached
 };
@@ -208,11 +208,18 @@ async function exportGif(sourceFile, outputFile, settings, loops) {
   return new Promise((resolve, reject) => {
     const command = ffmpeg(sourceFile);
     
-    // GIF-specific settings
+    // GIF-specific settings. A palette built from frame differences and
+    // rectangle-diffed palette mapping keep static areas (e.g. the frozen
+    // part of a cinemagraph) from shimmering with dither noise
     command
+      .complexFilter([
+        `[0:v]scale=${settings.scale}:-1:flags=lanczos,fps=${settings.fps || 15},split[frames][source]`,
+        '[source]palettegen=stats_mode=diff[palette]',
+        '[frames][palette]paletteuse=dither=bayer:diff_mode=rectangle[v]'
+      ])
       .outputOptions([
-        `-loop ${loops === 0 ? 0 : loops}`, // 0 means infinite loop in GIF
-        `-vf scale=${settings.scale}:-1:flags=lanczos,fps=${settings.fps || 15}`
+        '-map [v]',
+        `-loop ${loops === 0 ? 0 : loops}` // 0 means infinite loop in GIF
       ])
       .noAudio()
       .output(outputFile)
@@ -0,0 +1,142 @@
+/**
+ * Loop Mining Controller
+ * Harvests every good non-overlapping loop from a long media file
+ */
+
+const fs = require('fs');
+const { mineLoops, renderLoops } = require('../services/loopMiningService');
+const { probeMedia, conformToCfr, nearestStandardFrameRate } = require('../services/mediaProbeService');
+const { parseFusionWeights } = require('../services/candidateFusionService');
+const { parseRegions, buildRegionFilters } = require('../services/regionOfInterestService');
+const { AUDIO_STRATEGIES } = require('../services/pingPongService');
+const { parseStabilizationOptions, stabilizeMedia } = require('../services/stabilizationService');
+const { parseSceneChangeThreshold } = require('../services/sceneDetectionService');
+const { parseFrameAnalysisOptions } = require('../services/frameAnalysisService');
+const { parseEasing } = require('../services/easingService');
+
+/**
+ * Mine a media file for loops, optionally rendering each one
+ */
+async function mine(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No media file provided' });
+    }
+
+    const mediaPath = req.file.path;
+    const options = req.body;
+
+    let fusionWeights;
+    let regions;
+    let stabilization;
+    let sceneChangeThreshold;
+    let frameOptions;
+    let easing;
+    try {
+      fusionWeights = parseFusionWeights(options.fusionWeights);
+      regions = parseRegions(options.roi);
+      stabilization = parseStabilizationOptions(options);
+      sceneChangeThreshold = parseSceneChangeThreshold(options.sceneChangeThreshold);
+      frameOptions = parseFrameAnalysisOptions(options);
+      easing = options.easing ? parseEasing(options.easing) : undefined;
+      if (options.pingPongAudio && !AUDIO_STRATEGIES.includes(options.pingPongAudio)) {
+        throw new Error(`Invalid pingPongAudio: expected one of ${AUDIO_STRATEGIES.join(', ')}`);
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid mining options',
+        error: error.message
+      });
+    }
+
+    let mediaInfo = await probeMedia(mediaPath, { inspectPackets: true });
+    if (!mediaInfo.video) {
+      return res.status(400).json({ success: false, message: 'Loop mining requires a video stream' });
+    }
+
+    // Mine and render from one stabilized proxy
+    let sourcePath = mediaPath;
+    if (stabilization) {
+      sourcePath = (await stabilizeMedia(mediaPath, stabilization)).path;
+      mediaInfo = await probeMedia(sourcePath, { inspectPackets: true });
+    }
+
+    // Reversed audio cannot follow eased ping-pong playback
+    if (options.render === 'true' && options.transitionType === 'pingpong' && parseFloat(options.pingPongEase) > 0 &&
+        (options.pingPongAudio || 'reverse') === 'reverse' && mediaInfo.audio) {
+      return res.status(400).json({
+        success: false,
+        message: 'pingPongEase cannot be combined with pingPongAudio=reverse; use mute or crossfade'
+      });
+    }
+
+    // Conform VFR footage to a constant rate so frame indices map to the right times
+    let analysisPath = sourcePath;
+    if (mediaInfo.video.variableFrameRate && options.conformVfr !== 'false') {
+      const frameRate = nearestStandardFrameRate(mediaInfo.video.averageFrameRate || mediaInfo.video.frameRate);
+      analysisPath = await conformToCfr(sourcePath, frameRate);
+      mediaInfo.video.frameRate = frameRate;
+    }
+
+    let loops;
+    try {
+      loops = await mineLoops(analysisPath, mediaInfo, {
+        frameSampleRate: frameOptions.sampleRate, // Frames per second to analyze
+        motionThreshold: frameOptions.motionThreshold,
+        sceneChangeThreshold,
+        silenceThreshold: options.silenceThreshold || -30, // dB
+        minimumSilenceDuration: options.minimumSilenceDuration || 0.1, // seconds
+        useAudio: options.useAudio !== 'false',
+        fusionWeights,
+        regionFilters: buildRegionFilters(regions),
+        maxLoops: parseInt(options.maxLoops) || undefined,
+        minConfidence: options.minConfidence !== undefined ? parseFloat(options.minConfidence) : undefined,
+        minGap: parseFloat(options.minGap) || 0, // Seconds required between loops
+        refineLoopPoints: options.refineLoopPoints !== 'false'
+      });
+    } finally {
+      // Remove the conformed copy even when mining fails
+      if (analysisPath !== sourcePath) {
+        fs.rmSync(analysisPath, { force: true });
+      }
+    }
+
+    // Render every loop when requested
+    if (options.render === 'true') {
+      const outputDir = './public/output';
+      fs.mkdirSync(outputDir, { recursive: true });
+
+      loops = await renderLoops(sourcePath, loops, outputDir, {
+        blendFrames: parseInt(options.blendFrames || 5),
+        audioFade: options.audioFade === 'true',
+        audioFadeDuration: parseFloat(options.audioFadeDuration || 0.5),
+        colorCorrection: options.colorCorrection === 'true',
+        snapAudio: options.snapAudio !== 'false',
+        transitionType: options.transitionType || 'blend',
+        pingPongEase: parseFloat(options.pingPongEase) || 0,
+        pingPongAudio: options.pingPongAudio || 'reverse',
+        easing,
+        mode: 'loop'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Found ${loops.length} loops`,
+      mediaInfo,
+      loops
+    });
+  } catch (error) {
+    console.error('Error mining loops:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error mining loops',
+      error: error.message
+    });
+  }
+}
+
+module.exports = {
+  mine
+};
@@ -9,17 +9,31 @@ const { v4: uuidv4 } = require('uuid');
 const { optimizeLoop } = require('../services/optimizationService');
 const { blendFrames } = require('../services/frameBlendingService');
 const { processAudio } = require('../services/audioProcessingService');
+const { probeMedia } = require('../services/mediaProbeService');
+const { parseMask } = require('../services/cinemagraphService');
+const { AUDIO_STRATEGIES } = require('../services/pingPongService');
+const { parseTargetDuration } = require('../services/retimeService');
+const { parseEasing } = require('../services/easingService');
+const { parseStabilizationOptions } = require('../services/stabilizationService');
+const { hasTransition, resolveTransitionParameters } = require('../services/transitionRegistry');
+
+// Output modes: a plain loop, or a cinemagraph frozen outside a mask
+const MODES = ['loop', 'cinemagraph'];
 
 /**
  * Optimize media loop based on specified parameters
  */
 async function optimize(req, res) {
+  // An uploaded PNG mask is only needed while rendering
+  const maskFile = req.files && req.files.mask ? req.files.mask[0] : null;
+  
   try {
-    if (!req.file) {
+    const mediaFile = req.files && req.files.media ? req.files.media[0] : null;
+    if (!mediaFile) {
       return res.status(400).json({ success: false, message: 'No media file provided' });
     }
     
-    const mediaPath = req.file.path;
+    const mediaPath = mediaFile.path;
     const options = req.body;
     
     // Validate required parameters
@@ -37,9 +51,120 @@ async function optimize(req, res) {
       blendFrames: parseInt(options.blendFrames || 5),
       audioFade: options.audioFade === 'true',
       audioFadeDuration: parseFloat(options.audioFadeDuration || 0.5),
-      optimizationLevel: options.optimizationLevel || 'medium' // low, medium, high
+      colorCorrection: options.colorCorrection === 'true', // Ramp out exposure/color drift across the loop
+      snapAudio: options.snapAudio !== 'false', // Snap audio cuts to matching zero crossings
+      audioSnapWindow: parseFloat(options.audioSnapWindow) || undefined, // seconds
+      optimizationLevel: options.optimizationLevel || 'medium', // low, medium, high
+      transitionType: options.transitionType || 'blend', // blend, pingpong, or a registered transition
+      pingPongEase: parseFloat(options.pingPongEase) || 0, // 0-1, slows playback at the turning points
+      pingPongAudio: options.pingPongAudio || 'reverse', // reverse, mute, crossfade
+      mode: options.mode || 'loop', // loop, cinemagraph
+      referenceTime: parseFloat(options.referenceTime) || 0, // Seconds into the loop for the frozen frame
+      maskFeather: parseFloat(options.maskFeather) || 0, // Mask edge blur in pixels
+      retimeTolerance: parseFloat(options.retimeTolerance) || undefined // Largest relative speed change
     };
     
+    // Target length: seconds ("6") or "multiple of 2"
+    try {
+      params.targetDuration = parseTargetDuration(options.targetDuration);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid targetDuration',
+        error: error.message
+      });
+    }
+    
+    // Fade curve shared by the video blend and the audio crossfade: a curve name or "bezier(x1,y1,x2,y2)".
+    // Unset, video blends are linear and the audio loop crossfade is equal-power
+    try {
+      params.easing = options.easing ? parseEasing(options.easing) : undefined;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid easing',
+        error: error.message
+      });
+    }
+    
+    // Stabilize before cutting; same settings as analysis reuse its cached proxy
+    try {
+      params.stabilization = parseStabilizationOptions(options);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid stabilization options',
+        error: error.message
+      });
+    }
+    
+    // Registered transitions (GET /api/v1/transitions) take a JSON object of parameters
+    if (hasTransition(params.transitionType)) {
+      try {
+        const transitionParams = options.transitionParams ? JSON.parse(options.transitionParams) : {};
+        if (params.transitionType === 'morph' && options.morphFrames && transitionParams.frames === undefined) {
+          transitionParams.frames = options.morphFrames;
+        }
+        params.transitionParams = resolveTransitionParameters(params.transitionType, transitionParams);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid transitionParams',
+          error: error.message
+        });
+      }
+    } else if (!['blend', 'pingpong'].includes(params.transitionType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown transitionType: ${params.transitionType}`
+      });
+    }
+    
+    if (params.transitionType === 'pingpong' && !AUDIO_STRATEGIES.includes(params.pingPongAudio)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid pingPongAudio: expected one of ${AUDIO_STRATEGIES.join(', ')}`
+      });
+    }
+    
+    // Reversed audio cannot follow eased playback, so that pair needs a silent input
+    if (params.transitionType === 'pingpong' && params.pingPongEase > 0 && params.pingPongAudio === 'reverse') {
+      const mediaInfo = await probeMedia(mediaPath);
+      if (mediaInfo.audio) {
+        return res.status(400).json({
+          success: false,
+          message: 'pingPongEase cannot be combined with pingPongAudio=reverse; use mute or crossfade'
+        });
+      }
+    }
+    
+    if (!MODES.includes(params.mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid mode: expected one of ${MODES.join(', ')}`
+      });
+    }
+    
+    // Cinemagraphs need a mask: rectangle or polygon in the body, or an uploaded PNG
+    if (params.mode === 'cinemagraph') {
+      try {
+        params.mask = parseMask(options.mask, maskFile ? maskFile.path : null);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid mask',
+          error: error.message
+        });
+      }
+      
+      if (!params.mask) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required parameter for cinemagraph mode: mask'
+        });
+      }
+    }
+    
     // Generate output filename
     const outputId = uuidv4();
     const outputDir = './public/output';
@@ -64,6 +189,8 @@ async function optimize(req, res) {
         frameCount: result.frameCount,
         startTime: params.startTime,
         endTime: params.endTime,
+        qualityMetrics: result.qualityMetrics,
+        audioLoopPoints: result.audioLoopPoints,
         optimizationApplied: result.optimizationApplied
       }
     });
@@ -75,6 +202,10 @@ async function optimize(req, res) {
       message: 'Error optimizing loop',
       error: error.message
     });
+  } finally {
+    if (maskFile) {
+      fs.rmSync(maskFile.path, { force: true });
+    }
   }
 }
 
@@ -0,0 +1,21 @@
+/**
+ * Transition Controller
+ * Lists the registered loop transitions and their parameter schemas
+ */
+
+const { listTransitions, listFailedPlugins } = require('../services/transitionRegistry');
+
+/**
+ * List available transitions, and any plugins that failed to load
+ */
+function list(req, res) {
+  res.json({
+    success: true,
+    transitions: listTransitions(),
+    failedPlugins: listFailedPlugins()
+  });
+}
+
+module.exports = {
+  list
+};
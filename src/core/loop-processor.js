@@ -1,5 +1,7 @@
 // loop-processor.js - Core logic for creating optimized loops
 
+import { listTransitions } from '../services/transitionRegistry.js';
+
 /**
  * Processes media content to create optimized loops
  * Handles cutting, transition creation, and optimization
@@ -9,7 +11,8 @@ export class LoopProcessor {
    * Create a new LoopProcessor instance
    */
   constructor() {
-    this.transitionTypes = ['crossfade', 'cut', 'morph'];
+    // Registered seam transitions, plus ping-pong playback which replaces the seam entirely
+    this.transitionTypes = [...listTransitions().map(transition => transition.name), 'pingpong'];
   }
 
   /**
@@ -116,13 +119,18 @@ export class LoopProcessor {
       return loopSuggestions.points;
     }
     
+    // Carry an analyzer's ping-pong suggestion along with the points
+    const withTransition = (points, suggestion) => (
+      suggestion.transitionType === 'pingpong' ? { ...points, transitionType: 'pingpong' } : points
+    );
+    
     // If there's startTime and endTime, use those
     if (typeof loopSuggestions.startTime === 'number' &&
         typeof loopSuggestions.endTime === 'number') {
-      return {
+      return withTransition({
         start: loopSuggestions.startTime,
         end: loopSuggestions.endTime
-      };
+      }, loopSuggestions);
     }
     
     // If there are multiple suggestions, use the one with highest confidence
@@ -131,10 +139,10 @@ export class LoopProcessor {
         return (current.confidence > best.confidence) ? current : best;
       }, loopSuggestions[0]);
       
-      return {
+      return withTransition({
         start: bestSuggestion.startTime,
         end: bestSuggestion.endTime
-      };
+      }, bestSuggestion);
     }
     
     // Default to full duration if we can't find valid points
@@ -169,6 +177,7 @@ export class LoopProcessor {
    * Determine the optimal transition type
    * @private
    * @param {Object} mediaSource - The source media
+   * @param {Array<Object>} [mediaSource.motionActivity] - Motion timeline from frame analysis ({ time, value, globalMotion })
    * @param {Object} loopPoints - The loop points
    * @param {Object} parameters - Processing parameters
    * @returns {string} The optimal transition type
@@ -180,10 +189,16 @@ export class LoopProcessor {
       return parameters.loopParameters.transitionType;
     }
     
+    // Analysis found no matching frames, so only forward-then-reverse playback is seamless
+    if (loopPoints.transitionType === 'pingpong') {
+      return 'pingpong';
+    }
+    
     // Determine based on media type and content
     const isVideo = mediaSource.type.includes('video');
     const isAudio = mediaSource.type.includes('audio') || isVideo;
-    const hasSignificantMotion = Math.random() > 0.5; // Placeholder for real motion analysis
+    const motionThreshold = parameters.loopParameters?.motionThreshold || 0.1;
+    const hasSignificantMotion = this._measureSeamMotion(mediaSource, loopPoints) > motionThreshold;
     
     if (isVideo) {
       if (hasSignificantMotion) {
@@ -202,6 +217,33 @@ export class LoopProcessor {
     return 'cut';
   }
 
+  /**
+   * Measure motion around the loop seam from the analyzed motion timeline
+   * @private
+   * @param {Object} mediaSource - The source media
+   * @param {Object} loopPoints - The loop points
+   * @returns {number} Motion level at the seam (0-1), 0 when no motion data is available
+   */
+  _measureSeamMotion(mediaSource, loopPoints) {
+    const motionActivity = mediaSource.motionActivity;
+    if (!Array.isArray(motionActivity) || motionActivity.length === 0) {
+      return 0;
+    }
+    
+    // Average motion in a short window around a point in time
+    const windowSize = 0.5; // seconds
+    const averageAround = (time) => {
+      const samples = motionActivity.filter(sample => Math.abs(sample.time - time) <= windowSize);
+      if (samples.length === 0) {
+        return 0;
+      }
+      return samples.reduce((sum, sample) => sum + sample.value, 0) / samples.length;
+    };
+    
+    // The seam is as demanding as its busier side
+    return Math.max(averageAround(loopPoints.start), averageAround(loopPoints.end));
+  }
+
   /**
    * Create a seamless transition between loop points
    * @private
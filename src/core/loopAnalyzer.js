@@ -5,17 +5,41 @@
  * optimal loop points and transitions using frame analysis and Gemini API.
  */
 
+import fs from 'fs';
+import path from 'path';
+import { decodeFrames, ANALYSIS_WIDTH, ANALYSIS_HEIGHT } from '../services/frameDecodingService.js';
+import { toLuma, computeFrameDescriptor, compareDescriptors } from '../services/frameFeatureService.js';
+import { estimateMotionField, motionActivityFromField } from '../services/opticalFlowService.js';
+import { parseRegions, applyRegionMask } from '../services/regionOfInterestService.js';
+import { parseTargetDuration, planRetime } from '../services/retimeService.js';
+
+// Default rate (frames per second) at which video is sampled for analysis
+const DEFAULT_ANALYSIS_FRAME_RATE = 10;
+// Default size of the downsampled similarity matrix exposed in results
+const DEFAULT_MATRIX_PREVIEW_SIZE = 64;
+// Similarity of the ping-pong fallback offered when no frames match
+const PINGPONG_SIMILARITY = 0.5;
+// Shortest and longest loops (seconds) searched for in the similarity band
+const MIN_CANDIDATE_DURATION = 2;
+const MAX_CANDIDATE_DURATION = 15;
+// Loop length (seconds) preferred when no target duration is requested
+const DEFAULT_IDEAL_LOOP_DURATION = 5;
+
 class LoopAnalyzer {
   /**
    * Initialize the loop analyzer
    * @param {Object} config - Configuration object
    * @param {string} config.geminiApiKey - Gemini API key for content analysis
    * @param {Object} config.analysisOptions - Analysis options
+   * @param {number} config.analysisOptions.frameRate - Rate at which video frames are sampled
    */
   constructor(config) {
     this.config = config;
     this.geminiClient = this._initializeGeminiClient(config.geminiApiKey);
     this.frameBuffer = [];
+    this.frameRate = null;
+    this.frameRegions = null;
+    this.mediaPath = null;
     this.audioBuffer = null;
     this.analysisResults = null;
   }
@@ -75,20 +99,86 @@ class LoopAnalyzer {
 
   /**
    * Extract frames from video for analysis
+   * 
+   * The media stays staged on disk until reset() so frames can be streamed
+   * again (for a new region of interest or seam checks) without holding
+   * decoded pixels in memory.
    * @private
-   * @param {Blob|File|ArrayBuffer} videoData - Video data
+   * @param {Blob|File|ArrayBuffer|Buffer} videoData - Video data
    * @returns {Promise<void>}
    */
   async _extractVideoFrames(videoData) {
-    // Implementation would use browser's video decoding or ffmpeg.wasm
-    console.log('Extracting video frames');
-    this.frameBuffer = Array(30).fill().map((_, i) => ({
-      index: i,
-      timestamp: i / 30,
-      imageData: new Uint8Array(100), // Placeholder for actual image data
-      histogram: this._generateHistogram(),
-      motionVector: this._calculateMotionVector(i)
-    }));
+    const analysisOptions = this.config.analysisOptions || {};
+    const frameRate = analysisOptions.frameRate || DEFAULT_ANALYSIS_FRAME_RATE;
+    
+    // ffmpeg decodes from disk, so stage the media in a temporary file
+    const tempDir = './temp';
+    fs.mkdirSync(tempDir, { recursive: true });
+    this._removeStagedMedia();
+    this.mediaPath = path.join(tempDir, `analyzer_${Date.now()}`);
+    fs.writeFileSync(this.mediaPath, await this._toBuffer(videoData));
+    
+    this.frameRate = frameRate;
+    
+    try {
+      await this._computeFrameFeatures(null);
+    } catch (error) {
+      this._removeStagedMedia();
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the staged media file, if any
+   * @private
+   */
+  _removeStagedMedia() {
+    if (this.mediaPath) {
+      fs.rmSync(this.mediaPath, { force: true });
+      this.mediaPath = null;
+    }
+  }
+
+  /**
+   * Decode consecutive analysis frames again from the staged media
+   * @param {number} startFrame - Index of the first frame
+   * @param {number} count - Number of frames to decode
+   * @returns {Promise<Array<Object>>} - Frames with imageData, width and height
+   */
+  async readFrames(startFrame, count) {
+    if (!this.mediaPath) {
+      throw new Error('No video loaded');
+    }
+    
+    const { width, height, frames } = await decodeFrames(this.mediaPath, {
+      sampleRate: this.frameRate,
+      startTime: startFrame / this.frameRate,
+      duration: count / this.frameRate
+    });
+    
+    return frames.slice(0, count).map(imageData => ({ imageData, width, height }));
+  }
+
+  /**
+   * Convert supported media inputs to a Buffer
+   * @private
+   * @param {Blob|File|ArrayBuffer|Buffer} mediaData - Media data
+   * @returns {Promise<Buffer>} - Media bytes
+   */
+  async _toBuffer(mediaData) {
+    if (Buffer.isBuffer(mediaData)) {
+      return mediaData;
+    }
+    
+    if (mediaData instanceof ArrayBuffer) {
+      return Buffer.from(new Uint8Array(mediaData));
+    }
+    
+    if (mediaData && typeof mediaData.arrayBuffer === 'function') {
+      return Buffer.from(new Uint8Array(await mediaData.arrayBuffer()));
+    }
+    
+    throw new Error('Unsupported media data');
   }
 
   /**
@@ -109,31 +199,63 @@ class LoopAnalyzer {
   }
 
   /**
-   * Generate histogram for frame analysis
+   * Stream the staged video and keep compact descriptors and motion for each frame,
+   * restricted to a region of interest
    * @private
-   * @returns {Object} - Color histogram
+   * @param {Object|null} regions - Parsed include/exclude rectangles, or null for the full frame
+   * @returns {Promise<void>}
    */
-  _generateHistogram() {
-    // Simulate histogram generation
-    return {
-      red: Array(256).fill().map(() => Math.floor(Math.random() * 1000)),
-      green: Array(256).fill().map(() => Math.floor(Math.random() * 1000)),
-      blue: Array(256).fill().map(() => Math.floor(Math.random() * 1000))
-    };
+  async _computeFrameFeatures(regions) {
+    const frames = [];
+    let previousLuma = null;
+    
+    await decodeFrames(this.mediaPath, {
+      sampleRate: this.frameRate,
+      width: ANALYSIS_WIDTH,
+      height: ANALYSIS_HEIGHT,
+      onFrame: (imageData, index) => {
+        const { rgb, width, height } = applyRegionMask(imageData, ANALYSIS_WIDTH, ANALYSIS_HEIGHT, regions);
+        const luma = toLuma(rgb, width, height);
+        const descriptor = computeFrameDescriptor(rgb, width, height);
+        
+        frames.push({
+          index,
+          timestamp: index / this.frameRate,
+          width: ANALYSIS_WIDTH,
+          height: ANALYSIS_HEIGHT,
+          descriptor,
+          histogram: descriptor.histogram,
+          motionVector: this._calculateMotionVector(previousLuma, luma, width, height)
+        });
+        previousLuma = luma;
+      }
+    });
+    
+    this.frameBuffer = frames;
+    this.frameRegions = regions;
   }
 
   /**
-   * Calculate motion vector for frame
+   * Calculate global motion vector for a frame relative to the previous frame
    * @private
-   * @param {number} frameIndex - Index of the frame
+   * @param {Uint8Array|null} previousLuma - Luma plane of the previous frame
+   * @param {Uint8Array} luma - Luma plane of the frame
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
    * @returns {Object} - Motion vector
    */
-  _calculateMotionVector(frameIndex) {
-    // Simulate motion vector calculation
+  _calculateMotionVector(previousLuma, luma, width, height) {
+    if (!previousLuma) {
+      return { x: 0, y: 0, magnitude: 0, activity: 0 };
+    }
+    
+    const field = estimateMotionField(previousLuma, luma, width, height);
+    
     return {
-      x: Math.sin(frameIndex / 10) * 5,
-      y: Math.cos(frameIndex / 10) * 5,
-      magnitude: Math.random() * 10
+      x: field.globalMotion.dx,
+      y: field.globalMotion.dy,
+      magnitude: field.globalMotion.magnitude,
+      activity: motionActivityFromField(field)
     };
   }
 
@@ -143,6 +265,12 @@ class LoopAnalyzer {
    * @param {number} options.minLoopDuration - Minimum loop duration in seconds
    * @param {number} options.maxLoopDuration - Maximum loop duration in seconds
    * @param {string} options.quality - Quality preference ('low', 'medium', 'high')
+   * @param {number} options.matrixPreviewSize - Maximum size of the similarity matrix in the results
+   * @param {Object|Array|string} options.roi - Region of interest: a rectangle, an array of
+   *   rectangles, or { include, exclude }; rectangles are { x, y, width, height } as frame fractions
+   * @param {number|string|Object} options.targetDuration - Exact loop length in seconds, or
+   *   "multiple of N" / { multiple: N } for any whole multiple of N seconds
+   * @param {number} options.retimeTolerance - Largest relative speed change used to hit the target (default 0.05)
    * @returns {Promise<Object>} - Analysis results
    */
   async analyzeMedia(options) {
@@ -152,17 +280,23 @@ class LoopAnalyzer {
       throw new Error('No media loaded for analysis');
     }
     
-    // Calculate frame similarity matrix
-    const similarityMatrix = this._calculateSimilarityMatrix();
+    // Recompute frame features when the region of interest changes
+    const regions = parseRegions(options.roi);
+    if (this.mediaPath && JSON.stringify(regions) !== JSON.stringify(this.frameRegions)) {
+      await this._computeFrameFeatures(regions);
+    }
+    
+    // Calculate frame similarity within the range of loop lengths
+    const similarityBand = this._calculateSimilarityBand();
     
     // Use Gemini API for enhanced loop point detection
     const geminiAnalysis = await this._analyzeWithGemini(options);
     
     // Combine algorithmic analysis with Gemini insights
-    const loopCandidates = this._findLoopCandidates(similarityMatrix, geminiAnalysis);
+    const loopCandidates = this._findLoopCandidates(similarityBand, geminiAnalysis);
     
     // Rank and score the candidates
-    const rankedCandidates = this._rankLoopCandidates(loopCandidates);
+    const rankedCandidates = this._rankLoopCandidates(loopCandidates, options);
     
     // Store results
     this.analysisResults = {
@@ -170,9 +304,11 @@ class LoopAnalyzer {
       inputOptions: options,
       mediaInfo: {
         frameCount: this.frameBuffer ? this.frameBuffer.length : 0,
-        duration: this.frameBuffer ? this.frameBuffer.length / 30 : 
+        frameRate: this.frameRate,
+        duration: this.frameBuffer && this.frameBuffer.length > 0 ? this.frameBuffer.length / this.frameRate : 
                  (this.audioBuffer ? this.audioBuffer.duration : 0)
       },
+      similarityMatrix: this._previewSimilarityMatrix(options.matrixPreviewSize || DEFAULT_MATRIX_PREVIEW_SIZE),
       loopCandidates: rankedCandidates,
       bestLoopPoint: rankedCandidates[0],
       geminiInsights: geminiAnalysis.contentAnalysis
@@ -182,33 +318,65 @@ class LoopAnalyzer {
   }
 
   /**
-   * Calculate similarity matrix between frames
+   * Calculate similarity between each frame and the frames one loop length later
+   * 
+   * Only lags within the candidate loop durations are compared, so memory and
+   * time grow linearly with the number of frames instead of quadratically.
    * @private
-   * @returns {Array<Array<number>>} - Similarity matrix
+   * @returns {Object} - Band with minLag, maxLag and, per start frame, a Float32Array
+   *   of similarities indexed by lag - minLag (0 past the last frame)
    */
-  _calculateSimilarityMatrix() {
-    if (!this.frameBuffer || this.frameBuffer.length === 0) {
-      return [];
+  _calculateSimilarityBand() {
+    const frameRate = this.frameRate || DEFAULT_ANALYSIS_FRAME_RATE;
+    const minLag = Math.floor(frameRate * MIN_CANDIDATE_DURATION);
+    const maxLag = Math.floor(frameRate * MAX_CANDIDATE_DURATION) - 1;
+    const frameCount = this.frameBuffer ? this.frameBuffer.length : 0;
+    const rows = [];
+    
+    for (let i = 0; i < frameCount; i++) {
+      const row = new Float32Array(Math.max(0, maxLag - minLag + 1));
+      for (let lag = minLag; lag <= maxLag && i + lag < frameCount; lag++) {
+        row[lag - minLag] = compareDescriptors(
+          this.frameBuffer[i].descriptor,
+          this.frameBuffer[i + lag].descriptor
+        ).overall;
+      }
+      rows.push(row);
     }
     
-    const frameCount = this.frameBuffer.length;
-    const matrix = Array(frameCount).fill().map(() => Array(frameCount).fill(0));
+    return { minLag, maxLag, rows };
+  }
+
+  /**
+   * Build a small similarity matrix preview for inclusion in results
+   * 
+   * Each cell compares the frames at the centres of the blocks it covers, so
+   * the preview spans the whole media without a full frame-by-frame matrix.
+   * @private
+   * @param {number} maxSize - Maximum number of rows/columns to keep
+   * @returns {Object} - Preview matrix with the frame step and time step per cell
+   */
+  _previewSimilarityMatrix(maxSize) {
+    const frameCount = this.frameBuffer ? this.frameBuffer.length : 0;
+    const step = Math.max(1, Math.ceil(frameCount / maxSize));
+    const size = Math.ceil(frameCount / step);
+    const centre = block => this.frameBuffer[Math.min(frameCount - 1, block * step + Math.floor(step / 2))];
+    const values = Array(size).fill().map(() => Array(size).fill(1));
     
-    // Calculate similarity between each pair of frames
-    for (let i = 0; i < frameCount; i++) {
-      for (let j = i; j < frameCount; j++) {
-        if (i === j) {
-          matrix[i][j] = 1; // Perfect similarity with self
-        } else {
-          // In a real implementation, this would compare histograms, motion vectors, etc.
-          const similarity = 1 - (Math.abs(i - j) / frameCount);
-          matrix[i][j] = similarity;
-          matrix[j][i] = similarity; // Similarity is symmetric
-        }
+    for (let bi = 0; bi < size; bi++) {
+      for (let bj = bi + 1; bj < size; bj++) {
+        const similarity = compareDescriptors(centre(bi).descriptor, centre(bj).descriptor).overall;
+        values[bi][bj] = Math.round(similarity * 1000) / 1000;
+        values[bj][bi] = values[bi][bj];
       }
     }
     
-    return matrix;
+    return {
+      size,
+      frameStep: step,
+      timeStep: this.frameRate ? step / this.frameRate : null,
+      values
+    };
   }
 
   /**
@@ -276,15 +444,15 @@ class LoopAnalyzer {
   /**
    * Find loop candidates based on similarity and Gemini analysis
    * @private
-   * @param {Array<Array<number>>} similarityMatrix - Frame similarity matrix
+   * @param {Object} similarityBand - Banded frame similarity from _calculateSimilarityBand
    * @param {Object} geminiAnalysis - Gemini API analysis results
    * @returns {Array<Object>} - Loop candidates
    */
-  _findLoopCandidates(similarityMatrix, geminiAnalysis) {
+  _findLoopCandidates(similarityBand, geminiAnalysis) {
     const candidates = [];
     
     // Convert frame indices to timestamps
-    const frameRate = 30; // Assumed frame rate
+    const frameRate = this.frameRate || DEFAULT_ANALYSIS_FRAME_RATE;
     
     // Add Gemini suggestions if available
     if (geminiAnalysis.suggestions && geminiAnalysis.suggestions.length > 0) {
@@ -302,35 +470,60 @@ class LoopAnalyzer {
       });
     }
     
-    // Add algorithm-based candidates using similarity matrix
-    if (similarityMatrix.length > 0) {
-      const frameCount = similarityMatrix.length;
-      const minFrames = Math.floor(frameRate * 2); // Minimum 2 seconds
-      const maxFrames = Math.floor(frameRate * 15); // Maximum 15 seconds
+    // Add algorithm-based candidates using the similarity band
+    const { minLag, maxLag, rows } = similarityBand;
+    if (rows.length > 0) {
+      const frameCount = rows.length;
+      const minFrames = minLag;
+      const maxFrames = maxLag + 1;
       
       // Find regions with high similarity between beginning and end
       for (let startFrame = 0; startFrame < frameCount - minFrames; startFrame++) {
-        for (let endFrame = startFrame + minFrames; 
-             endFrame < Math.min(frameCount, startFrame + maxFrames); 
-             endFrame++) {
-          
-          const similarity = similarityMatrix[startFrame][endFrame];
+        const row = rows[startFrame];
+        const lastLag = Math.min(maxLag, frameCount - 1 - startFrame);
+        
+        for (let lag = minLag; lag <= lastLag; lag++) {
+          const similarity = row[lag - minLag];
           
-          // Only consider high similarity loops
-          if (similarity > 0.8) {
+          // Only consider high similarity loops, and only the peak of each run of
+          // matches so the candidate count stays proportional to the duration
+          const previous = lag > minLag ? row[lag - minLag - 1] : -Infinity;
+          const next = lag < lastLag ? row[lag - minLag + 1] : -Infinity;
+          if (similarity > 0.8 && similarity >= previous && similarity > next) {
+            const endFrame = startFrame + lag;
             candidates.push({
               startFrame,
               endFrame,
               startTime: startFrame / frameRate,
               endTime: endFrame / frameRate,
-              duration: (endFrame - startFrame) / frameRate,
+              duration: lag / frameRate,
               similarity,
+              similarityBreakdown: compareDescriptors(
+                this.frameBuffer[startFrame].descriptor,
+                this.frameBuffer[endFrame].descriptor
+              ),
               source: 'algorithm',
               transitionType: similarity > 0.9 ? 'cut' : 'crossfade'
             });
           }
         }
       }
+      
+      // Without matching frames, only forward-then-reverse playback loops seamlessly;
+      // the segment plays twice, so it covers half the usual loop length
+      if (!candidates.some(candidate => candidate.source === 'algorithm') && frameCount > minFrames / 2) {
+        const endFrame = Math.min(frameCount - 1, Math.floor(maxFrames / 2));
+        candidates.push({
+          startFrame: 0,
+          endFrame,
+          startTime: 0,
+          endTime: endFrame / frameRate,
+          duration: (2 * endFrame) / frameRate,
+          similarity: PINGPONG_SIMILARITY,
+          source: 'algorithm',
+          transitionType: 'pingpong'
+        });
+      }
     }
     
     return candidates;
@@ -338,19 +531,43 @@ class LoopAnalyzer {
 
   /**
    * Rank loop candidates by quality score
+   * 
+   * With a target duration, only candidates that can be retimed to it within
+   * the tolerance are kept, each carrying its retime plan.
    * @private
    * @param {Array<Object>} candidates - Loop candidates
+   * @param {Object} options - Analysis options
    * @returns {Array<Object>} - Ranked candidates
+   * @throws {Error} If no candidate can reach the target duration
    */
-  _rankLoopCandidates(candidates) {
+  _rankLoopCandidates(candidates, options = {}) {
+    const target = parseTargetDuration(options.targetDuration);
+    const tolerance = options.retimeTolerance !== undefined ? options.retimeTolerance : 0.05;
+    
+    let retimedCandidates = candidates;
+    if (target) {
+      retimedCandidates = candidates
+        .map(candidate => ({
+          ...candidate,
+          retime: planRetime(candidate.duration, target, { tolerance, frameRate: this.frameRate })
+        }))
+        .filter(candidate => candidate.retime);
+      
+      if (candidates.length > 0 && retimedCandidates.length === 0) {
+        throw new Error('No loop candidate can be retimed to the target duration within tolerance');
+      }
+    }
+    
     // Score candidates based on multiple factors
-    const scoredCandidates = candidates.map(candidate => {
+    const scoredCandidates = retimedCandidates.map(candidate => {
       // Factors that contribute to score:
       // 1. Similarity (0-1)
-      // 2. Duration preference (closer to 5 seconds is better)
+      // 2. Duration preference (less retiming to the target, or closer to the ideal length, is better)
       // 3. Source (Gemini suggestions get a small boost)
       
-      const durationScore = 1 - Math.abs(candidate.duration - 5) / 10; // 5 seconds is ideal
+      const durationScore = candidate.retime ?
+        1 - Math.abs(candidate.retime.speed - 1) / Math.max(tolerance, 1e-6) :
+        1 - Math.abs(candidate.duration - DEFAULT_IDEAL_LOOP_DURATION) / 10;
       const sourceBoost = candidate.source === 'gemini' ? 0.1 : 0;
       
       const score = (
@@ -385,6 +602,7 @@ class LoopAnalyzer {
       endTime: bestLoop.endTime,
       duration: bestLoop.duration,
       score: bestLoop.score,
+      retime: bestLoop.retime || null,
       transitionType: bestLoop.transitionType,
       transitionDuration: bestLoop.transitionType === 'crossfade' ? 0.5 : 0,
       compressionLevel: this.analysisResults.geminiInsights.recommendedCompression
@@ -395,7 +613,10 @@ class LoopAnalyzer {
    * Reset the analyzer for a new analysis
    */
   reset() {
+    this._removeStagedMedia();
     this.frameBuffer = [];
+    this.frameRate = null;
+    this.frameRegions = null;
     this.audioBuffer = null;
     this.analysisResults = null;
   }
@@ -13,11 +13,21 @@ const { v4: uuidv4 } = require('uuid');
 const analyzeController = require('./controllers/analyzeController');
 const optimizeController = require('./controllers/optimizeController');
 const exportController = require('./controllers/exportController');
+const mineController = require('./controllers/mineController');
+const transitionController = require('./controllers/transitionController');
+const { loadTransitionPlugins } = require('./services/transitionRegistry');
 
 // Initialize Express app
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Register third-party transitions from the plugin directory; broken plugins are
+// skipped and listed by GET /api/v1/transitions
+const transitionPlugins = loadTransitionPlugins(process.env.TRANSITION_PLUGIN_DIR || './plugins/transitions');
+if (transitionPlugins.length > 0) {
+  console.log(`Loaded transition plugins: ${transitionPlugins.join(', ')}`);
+}
+
 // Configure middleware
 app.use(cors());
 app.use(express.json());
@@ -39,8 +49,8 @@ const upload = multer({
   storage,
   limits: { fileSize: 100 * 1024 * 1024 }, // 100MB limit
   fileFilter: (req, file, cb) => {
-    // Accept video and audio files
-    const allowedTypes = [
+    // Accept video and audio files, plus PNG cinemagraph masks
+    const allowedTypes = file.fieldname === 'mask' ? ['image/png'] : [
       'video/mp4', 'video/webm', 'video/quicktime',
       'audio/mpeg', 'audio/wav', 'audio/ogg'
     ];
@@ -48,15 +58,22 @@ const upload = multer({
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only video and audio files are allowed.'));
+      cb(new Error('Invalid file type. Only video and audio files (and PNG masks) are allowed.'));
     }
   }
 });
 
 // API Routes
 app.post('/api/v1/analyze', upload.single('media'), analyzeController.analyze);
-app.post('/api/v1/optimize', upload.single('media'), optimizeController.optimize);
+app.get('/api/v1/analyze/cache/:key', analyzeController.getCached);
+app.delete('/api/v1/analyze/cache/:key', analyzeController.invalidateCached);
+app.post('/api/v1/optimize', upload.fields([
+  { name: 'media', maxCount: 1 },
+  { name: 'mask', maxCount: 1 }
+]), optimizeController.optimize);
+app.post('/api/v1/mine', upload.single('media'), mineController.mine);
 app.post('/api/v1/export', exportController.exportMedia);
+app.get('/api/v1/transitions', transitionController.list);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -5,6 +5,24 @@
  * optimal loop points and create seamless transitions in media content.
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toLuma } = require('./services/frameFeatureService');
+const { decodeFrames } = require('./services/frameDecodingService');
+const { decodeAudio } = require('./services/audioDecodingService');
+const { probeMedia } = require('./services/mediaProbeService');
+const {
+  computeVideoSeamMetrics,
+  computeAudioSeamMetrics,
+  summarizeSeamMetrics
+} = require('./services/seamQualityService');
+
+// Seconds of audio compared on each side of the loop seam
+const SEAM_AUDIO_WINDOW = 0.25;
+// Seconds of video decoded on each side of the loop seam; only the two frames nearest it are used
+const SEAM_VIDEO_WINDOW = 0.25;
+
 class LoopOptimizer {
   /**
    * Initialize the LoopOptimizer
@@ -47,18 +65,26 @@ class LoopOptimizer {
         saveResults = false
       } = parameters;
 
-      // Decode and analyze the input media
-      const mediaData = await this._decodeMedia(mediaInput);
-      const analysisResult = await this._analyzeMedia(mediaData, loopParameters);
-      
-      // Generate the optimized loop
-      const optimizedLoop = await this._generateOptimizedLoop(
-        mediaData,
-        analysisResult,
-        outputFormat,
-        optimizationPreset,
-        loopParameters
-      );
+      // Frames and audio are decoded from the staged file only around the seam,
+      // so memory does not grow with the input's length
+      const { mediaPath, cleanup } = await this._stageMediaInput(mediaInput);
+      let analysisResult;
+      let optimizedLoop;
+      try {
+        const mediaData = await this._probeMedia(mediaPath);
+        analysisResult = await this._analyzeMedia(mediaData, loopParameters);
+        
+        // Generate the optimized loop
+        optimizedLoop = await this._generateOptimizedLoop(
+          mediaData,
+          analysisResult,
+          outputFormat,
+          optimizationPreset,
+          loopParameters
+        );
+      } finally {
+        await cleanup();
+      }
 
       // Prepare result object
       const result = {
@@ -89,17 +115,58 @@ class LoopOptimizer {
   }
 
   /**
-   * Decode the input media
+   * Read the input's duration, frame rate and streams
+   * @private
+   * @param {string} mediaPath - Path of the staged media file
+   * @returns {Promise<Object>} Media data for analysis; frames and audio are decoded later, around the seam
+   */
+  async _probeMedia(mediaPath) {
+    const mediaInfo = await probeMedia(mediaPath);
+
+    return {
+      mediaPath,
+      type: mediaInfo.video ? 'video' : 'audio',
+      duration: mediaInfo.video ? mediaInfo.video.duration : mediaInfo.duration,
+      frameRate: mediaInfo.video ? mediaInfo.video.frameRate : 0,
+      hasVideo: Boolean(mediaInfo.video),
+      hasAudio: Boolean(mediaInfo.audio)
+    };
+  }
+
+  /**
+   * Make the input available as a file ffmpeg can read, writing in-memory bytes to a temp file
    * @private
+   * @param {Blob|File|ArrayBuffer|Buffer|string|Object} mediaInput - The media content
+   * @returns {Promise<Object>} The file path and a cleanup function removing any temp file
    */
-  async _decodeMedia(mediaInput) {
-    // Implementation for decoding media based on type
+  async _stageMediaInput(mediaInput) {
+    if (typeof mediaInput === 'string') {
+      return { mediaPath: mediaInput, cleanup: async () => {} };
+    }
+    if (mediaInput && typeof mediaInput.path === 'string' && !mediaInput.buffer) {
+      return { mediaPath: mediaInput.path, cleanup: async () => {} };
+    }
+
+    let bytes;
+    if (Buffer.isBuffer(mediaInput)) {
+      bytes = mediaInput;
+    } else if (mediaInput instanceof ArrayBuffer) {
+      bytes = Buffer.from(mediaInput);
+    } else if (mediaInput && mediaInput.buffer) {
+      bytes = Buffer.from(mediaInput.buffer);
+    } else if (mediaInput && typeof mediaInput.arrayBuffer === 'function') {
+      bytes = Buffer.from(await mediaInput.arrayBuffer());
+    } else {
+      throw new Error('Unsupported media input');
+    }
+
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'loop-optimizer-'));
+    const mediaPath = path.join(tempDir, path.basename((mediaInput && mediaInput.name) || 'media'));
+    await fs.promises.writeFile(mediaPath, bytes);
+
     return {
-      type: 'video', // or 'audio'
-      duration: 0,
-      frameRate: 0,
-      frames: [],
-      audio: {}
+      mediaPath,
+      cleanup: () => fs.promises.rm(tempDir, { recursive: true, force: true })
     };
   }
 
@@ -283,12 +350,56 @@ class TransitionEngine {
    * @returns {Promise<Object>} Media with transitions applied
    */
   async applyTransitions(mediaData, loopPoints, transitionPoints, parameters) {
-    // Implementation for applying transitions
     return {
       ...mediaData,
+      seam: await this._decodeSeam(mediaData, loopPoints),
+      duration: loopPoints.end - loopPoints.start,
       transitions: transitionPoints
     };
   }
+
+  /**
+   * Decode the frames and audio either side of the loop's seam so it can be measured
+   * @private
+   * @param {Object} mediaData - Media data with the staged file's path
+   * @param {Object} loopPoints - Start and end points for the loop
+   * @returns {Promise<Object>} RGB24 frames and per-channel PCM before (tail) and after (head) the seam
+   */
+  async _decodeSeam(mediaData, loopPoints) {
+    const seam = { video: null, audio: null };
+    const loopDuration = loopPoints.end - loopPoints.start;
+    if (!(loopDuration > 0)) {
+      return seam;
+    }
+
+    if (mediaData.hasVideo) {
+      const videoWindow = Math.min(SEAM_VIDEO_WINDOW, loopDuration / 2);
+      const head = await decodeFrames(mediaData.mediaPath, {
+        startTime: loopPoints.start,
+        duration: videoWindow
+      });
+      const tail = await decodeFrames(mediaData.mediaPath, {
+        startTime: Math.max(0, loopPoints.end - videoWindow),
+        duration: videoWindow
+      });
+      seam.video = { width: head.width, height: head.height, head: head.frames, tail: tail.frames };
+    }
+
+    if (mediaData.hasAudio) {
+      const audioWindow = Math.min(SEAM_AUDIO_WINDOW, loopDuration / 2);
+      const head = await decodeAudio(mediaData.mediaPath, {
+        startTime: loopPoints.start,
+        duration: audioWindow
+      });
+      const tail = await decodeAudio(mediaData.mediaPath, {
+        startTime: Math.max(0, loopPoints.end - audioWindow),
+        duration: audioWindow
+      });
+      seam.audio = { sampleRate: head.sampleRate, head: head.channelData, tail: tail.channelData };
+    }
+
+    return seam;
+  }
 }
 
 /**
@@ -309,12 +420,40 @@ class MediaEncoder {
       duration: mediaData.duration,
       size: 1024 * 1024, // 1MB example
       qualityMetrics: {
-        seamlessScore: 95,
-        compressionRatio: 0.8,
-        artifactRating: 92
+        ...this._measureSeamQuality(mediaData),
+        compressionRatio: null // Known once the output is actually encoded
       }
     };
   }
+
+  /**
+   * Measure seam quality from the frames and audio decoded either side of the seam
+   * @private
+   * @param {Object} mediaData - Processed media data with its decoded seam
+   * @returns {Object} Seam quality metrics
+   */
+  _measureSeamQuality(mediaData) {
+    const seam = mediaData.seam || {};
+
+    let video = null;
+    if (seam.video && seam.video.head.length >= 2 && seam.video.tail.length >= 2) {
+      const { width, height } = seam.video;
+      const luma = frame => toLuma(frame, width, height);
+      video = computeVideoSeamMetrics(
+        seam.video.tail.slice(-2).map(luma),
+        seam.video.head.slice(0, 2).map(luma),
+        width,
+        height
+      );
+    }
+
+    let audio = null;
+    if (seam.audio) {
+      audio = computeAudioSeamMetrics(seam.audio.tail, seam.audio.head, seam.audio.sampleRate);
+    }
+
+    return summarizeSeamMetrics(video, audio);
+  }
 }
 
 /**
@@ -10,6 +10,12 @@ import TransitionOptimizer from './core/transitionOptimizer.js';
 import OutputGenerator from './core/outputGenerator.js';
 import FirebaseIntegration from './integrations/firebaseIntegration.js';
 import GeminiIntegration from './integrations/geminiIntegration.js';
+import fs from 'fs';
+import path from 'path';
+import { toLuma } from './services/frameFeatureService.js';
+import { computeVideoSeamMetrics, summarizeSeamMetrics } from './services/seamQualityService.js';
+import { probeMedia } from './services/mediaProbeService.js';
+import { parseTargetDuration, planRetime, retimeMedia } from './services/retimeService.js';
 
 class LoopOptimizer {
   /**
@@ -60,6 +66,8 @@ class LoopOptimizer {
         preserveAspectRatio: true,
         minLoopDuration: 3,
         maxLoopDuration: 10,
+        targetDuration: null, // Exact seconds, or "multiple of N"
+        retimeTolerance: 0.05, // Largest relative speed change used to hit targetDuration
         preferredTransition: 'crossfade',
         audioFade: true
       }
@@ -113,7 +121,10 @@ class LoopOptimizer {
       const analysisResults = await this.analyzer.analyzeMedia({
         minLoopDuration: params.minLoopDuration,
         maxLoopDuration: params.maxLoopDuration,
-        quality: params.quality
+        quality: params.quality,
+        roi: params.roi,
+        targetDuration: params.targetDuration,
+        retimeTolerance: params.retimeTolerance
       });
       
       // Step 2: Optimize transitions
@@ -134,7 +145,7 @@ class LoopOptimizer {
       this.outputGenerator = this.outputGenerator || 
         new OutputGenerator(this.config);
         
-      const outputResult = await this.outputGenerator.generateOutput(
+      let outputResult = await this.outputGenerator.generateOutput(
         optimizedLoop,
         {
           format: params.outputFormat,
@@ -143,7 +154,13 @@ class LoopOptimizer {
         }
       );
       
-      // Step 4: Save results if requested
+      // Step 4: Retime to the target duration; the analysis only kept loops that fit it
+      let retime = null;
+      if (analysisResults.bestLoopPoint.retime) {
+        ({ outputResult, retime } = await this._retimeOutput(outputResult, params));
+      }
+      
+      // Step 5: Save results if requested
       let savedResults = null;
       if (params.saveResults && this.firebase) {
         savedResults = await this.firebase.saveResults({
@@ -174,10 +191,10 @@ class LoopOptimizer {
             end: analysisResults.bestLoopPoint.endTime
           },
           transitionPoints: optimizedLoop.transitions,
+          retime,
           qualityMetrics: {
-            seamlessScore: analysisResults.bestLoopPoint.score * 100,
-            compressionRatio: outputResult.compressionRatio,
-            artifactRating: outputResult.artifactRating
+            ...(await this._measureSeamQuality(analysisResults.bestLoopPoint)),
+            compressionRatio: mediaInput.size ? 1 - outputResult.fileSize / mediaInput.size : null
           }
         },
         storage: savedResults,
@@ -189,6 +206,84 @@ class LoopOptimizer {
     }
   }
   
+  /**
+   * Retime the generated loop file to the target duration
+   * 
+   * Planned again against the rendered length, which transitions can change,
+   * the same way the optimize API does.
+   * @private
+   * @param {Object} outputResult - Generated output with the path of its local file
+   * @param {Object} params - Processing parameters with targetDuration and retimeTolerance
+   * @returns {Promise<Object>} - The retimed output and the retime plan applied
+   */
+  async _retimeOutput(outputResult, params) {
+    if (!outputResult.path) {
+      throw new Error('Retiming to a target duration requires a locally generated output');
+    }
+    
+    const renderedInfo = await probeMedia(outputResult.path);
+    const retime = planRetime(renderedInfo.duration, parseTargetDuration(params.targetDuration), {
+      tolerance: params.retimeTolerance,
+      frameRate: renderedInfo.video ? renderedInfo.video.frameRate : null
+    });
+    if (!retime) {
+      throw new Error(`Loop duration ${renderedInfo.duration}s cannot be retimed to the target within tolerance`);
+    }
+    if (retime.method === 'none') {
+      return { outputResult, retime };
+    }
+    
+    // Retime next to the output, then replace it so its URL stays valid
+    const parsed = path.parse(outputResult.path);
+    const retimedPath = path.join(parsed.dir, `${parsed.name}.retimed${parsed.ext}`);
+    await retimeMedia(outputResult.path, retimedPath, retime);
+    await fs.promises.rename(retimedPath, outputResult.path);
+    const { size } = await fs.promises.stat(outputResult.path);
+    
+    return {
+      outputResult: {
+        ...outputResult,
+        duration: retime.targetDuration,
+        fileSize: size,
+        data: outputResult.data ? await fs.promises.readFile(outputResult.path) : outputResult.data
+      },
+      retime
+    };
+  }
+  
+  /**
+   * Measure seam quality of a loop from the analyzed frames around its start and end
+   * 
+   * The analyzer keeps only descriptors, so the four frames at the seam are decoded again.
+   * @private
+   * @param {Object} loopPoint - Loop candidate with startFrame and endFrame
+   * @returns {Promise<Object>} - Seam quality metrics
+   */
+  async _measureSeamQuality(loopPoint) {
+    const frameCount = (this.analyzer.frameBuffer || []).length;
+    const { startFrame, endFrame } = loopPoint;
+    
+    let video = null;
+    if (this.analyzer.mediaPath && startFrame >= 0 && endFrame >= 2 &&
+        startFrame + 1 < frameCount && endFrame <= frameCount) {
+      const luma = frame => toLuma(frame.imageData, frame.width, frame.height);
+      const head = await this.analyzer.readFrames(startFrame, 2);
+      const tail = await this.analyzer.readFrames(endFrame - 2, 2);
+      
+      // The loop plays up to the frame before endFrame, then wraps to startFrame
+      if (head.length === 2 && tail.length === 2) {
+        video = computeVideoSeamMetrics(
+          tail.map(luma),
+          head.map(luma),
+          head[0].width,
+          head[0].height
+        );
+      }
+    }
+    
+    return summarizeSeamMetrics(video, null);
+  }
+  
   /**
    * Detect media type from input
    * @private
@@ -338,8 +433,6 @@ class OutputGenerator {
       duration: optimizedLoop.loopEnd - optimizedLoop.loopStart,
       fileSize: 1024 * 1024 * 2, // 2MB placeholder
       data: null, // Would contain actual data if includeData is true
-      compressionRatio: 0.7,
-      artifactRating: 92,
       processingTime: 2.5
     };
   }
@@ -0,0 +1,154 @@
+/**
+ * Analysis Cache Service
+ * Stores analysis results keyed by upload content, analysis options and algorithm version
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Bump whenever analysis output changes so stale results are never served
+const ANALYSIS_VERSION = 3;
+// Directory holding one JSON file per cached analysis
+const CACHE_DIR = './cache/analysis';
+// Request options that control caching rather than the analysis itself
+const NON_ANALYSIS_OPTIONS = ['cache'];
+// Cache keys are "<content hash>-<options hash>"; a content hash alone addresses every entry for a file
+const KEY_PATTERN = /^[0-9a-f]{64}(-[0-9a-f]{64})?$/;
+
+/**
+ * SHA-256 of a file's contents, streamed so large uploads aren't read into memory
+ */
+async function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Cache key for a content hash analyzed with the given options
+ */
+function computeCacheKey(contentHash, options) {
+  const relevant = {};
+  for (const name of Object.keys(options || {}).sort()) {
+    if (!NON_ANALYSIS_OPTIONS.includes(name)) {
+      relevant[name] = options[name];
+    }
+  }
+
+  const optionsHash = crypto.createHash('sha256')
+    .update(JSON.stringify({ version: ANALYSIS_VERSION, options: relevant }))
+    .digest('hex');
+
+  return `${contentHash}-${optionsHash}`;
+}
+
+/**
+ * Whether a string is a cache key or content hash (and safe to use as a file name)
+ */
+function isValidCacheKey(key) {
+  return KEY_PATTERN.test(key);
+}
+
+/**
+ * Look up a cached analysis by key, or null when there is none
+ */
+async function getCachedAnalysis(key) {
+  try {
+    return JSON.parse(await fs.promises.readFile(cachePath(key), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List cached analyses of one file (key, options and creation time, without results)
+ */
+async function listCachedAnalyses(contentHash) {
+  const files = await readCacheDir();
+  const entries = [];
+
+  for (const file of files.filter(name => name.startsWith(`${contentHash}-`))) {
+    const entry = await getCachedAnalysis(path.basename(file, '.json'));
+    if (entry) {
+      entries.push({ key: entry.key, options: entry.options, createdAt: entry.createdAt });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Store an analysis result under its cache key
+ */
+async function storeAnalysis(key, contentHash, options, analysis) {
+  await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+
+  const entry = {
+    key,
+    contentHash,
+    version: ANALYSIS_VERSION,
+    options,
+    createdAt: new Date().toISOString(),
+    analysis
+  };
+
+  // Write then rename so a concurrent lookup never sees a partial file
+  const tempPath = `${cachePath(key)}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(entry));
+  await fs.promises.rename(tempPath, cachePath(key));
+
+  return entry;
+}
+
+/**
+ * Remove one cached analysis, or every analysis of a file when given its content hash
+ */
+async function invalidateAnalysis(key) {
+  const files = await readCacheDir();
+  const matches = key.includes('-')
+    ? files.filter(name => name === `${key}.json`)
+    : files.filter(name => name.startsWith(`${key}-`) && name.endsWith('.json'));
+
+  for (const file of matches) {
+    await fs.promises.unlink(path.join(CACHE_DIR, file));
+  }
+
+  return matches.length;
+}
+
+/**
+ * Files in the cache directory (empty when nothing has been cached yet)
+ */
+async function readCacheDir() {
+  try {
+    return await fs.promises.readdir(CACHE_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+function cachePath(key) {
+  return path.join(CACHE_DIR, `${key}.json`);
+}
+
+module.exports = {
+  hashFile,
+  computeCacheKey,
+  isValidCacheKey,
+  getCachedAnalysis,
+  listCachedAnalyses,
+  storeAnalysis,
+  invalidateAnalysis,
+  ANALYSIS_VERSION
+};
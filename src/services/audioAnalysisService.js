@@ -4,33 +4,50 @@
  */
 
 const ffmpeg = require('fluent-ffmpeg');
-const fs = require('fs');
-const path = require('path');
+const { decodeAudio } = require('./audioDecodingService');
+const { createOnsetDetector, detectBeatsInEnvelope } = require('./beatDetectionService');
+const { createFrameStream, createSpectralFeatureExtractor } = require('./spectralAnalysisService');
+const { createFeatureBlockAccumulator, findAudioLoopCandidates } = require('./audioSimilarityService');
+
+// Sample rate audio is decoded at for rhythm and spectral analysis
+const ANALYSIS_SAMPLE_RATE = 22050;
 
 /**
  * Analyze audio for potential loop points
  */
 async function analyzeAudio(mediaPath, options) {
   try {
-    // Extract audio stream for analysis
-    const audioPath = await extractAudio(mediaPath);
-    
-    // Detect silence points in the audio
+    // Detect silence points in the audio; both passes decode the media's
+    // audio directly, without an intermediate file
     const silencePoints = await detectSilence(
-      audioPath,
+      mediaPath,
       options.silenceThreshold,
       options.minimumSilenceDuration
     );
     
-    // Analyze waveform for additional characteristics
-    const waveformAnalysis = await analyzeWaveform(audioPath);
+    // Stream mono PCM once through the rhythm and spectral analysis; only
+    // compact per-hop features are kept, so memory grows slowly with duration
+    const onsets = createOnsetDetector(ANALYSIS_SAMPLE_RATE);
+    const waveform = createWaveformAnalyzer(ANALYSIS_SAMPLE_RATE);
+    await decodeAudio(mediaPath, {
+      sampleRate: ANALYSIS_SAMPLE_RATE,
+      channels: 1,
+      onSamples: ([samples]) => {
+        onsets.push(samples);
+        waveform.push(samples);
+      }
+    });
     
-    // Clean up extracted audio
-    fs.unlinkSync(audioPath);
+    // Track beats and tempo for music where there is no silence to loop on
+    const beatGrid = analyzeRhythm(onsets.finish(), options);
+    
+    // Analyze waveform for additional characteristics
+    const waveformAnalysis = waveform.finish(beatGrid, options);
     
     return {
       silencePoints,
-      waveformAnalysis
+      waveformAnalysis,
+      beatGrid
     };
   } catch (error) {
     console.error('Error in audio analysis:', error);
@@ -39,40 +56,13 @@ async function analyzeAudio(mediaPath, options) {
 }
 
 /**
- * Extract audio stream from media file
- */
-async function extractAudio(mediaPath) {
-  return new Promise((resolve, reject) => {
-    const audioPath = path.join(
-      './temp',
-      `audio_${path.basename(mediaPath, path.extname(mediaPath))}.wav`
-    );
-    
-    // Ensure temp directory exists
-    fs.mkdirSync('./temp', { recursive: true });
-    
-    // Use ffmpeg to extract audio
-    ffmpeg(mediaPath)
-      .output(audioPath)
-      .noVideo() // Audio only
-      .audioCodec('pcm_s16le') // Uncompressed WAV for analysis
-      .on('end', () => {
-        resolve(audioPath);
-      })
-      .on('error', (err) => {
-        reject(err);
-      })
-      .run();
-  });
-}
-
-/**
- * Detect silence in audio file
+ * Detect silence in a media file's audio
  */
-async function detectSilence(audioPath, threshold, minDuration) {
+async function detectSilence(mediaPath, threshold, minDuration) {
   return new Promise((resolve, reject) => {
     // Use ffmpeg silencedetect filter
-    ffmpeg(audioPath)
+    ffmpeg(mediaPath)
+      .noVideo()
       .addOutputOptions([
         `-af silencedetect=noise=${threshold}dB:d=${minDuration}`,
         '-f null'
@@ -122,21 +112,89 @@ function parseFFmpegSilenceOutput(output) {
 }
 
 /**
- * Analyze audio waveform characteristics
+ * Estimate tempo, beat grid and downbeats
+ */
+function analyzeRhythm(onsets, options) {
+  return detectBeatsInEnvelope(onsets, {
+    beatsPerBar: parseInt(options.beatsPerBar) || undefined
+  });
+}
+
+/**
+ * Incremental audio waveform analysis
+ *
+ * push(samples) takes mono audio in chunks. Level and centroid are kept as
+ * running totals and spectral frames are folded into similarity blocks as they
+ * are computed, so no frame is held on to. finish(beatGrid, options) returns
+ * the waveform characteristics and loop candidates.
  */
-async function analyzeWaveform(audioPath) {
-  // In a real implementation, this would analyze waveform characteristics
-  // like amplitude, frequency spectrum, etc.
+function createWaveformAnalyzer(sampleRate) {
+  const extractor = createSpectralFeatureExtractor(sampleRate);
+  const blocks = createFeatureBlockAccumulator(extractor.hopSize / sampleRate);
+  let frameCount = 0;
+  let totalLevel = 0;
+  let peakAmplitude = 0;
+  let weightedCentroid = 0;
+  
+  const frames = createFrameStream(extractor.frameSize, extractor.hopSize, (frame, start) => {
+    const features = extractor.extract(frame, start);
+    frameCount++;
+    totalLevel += features.rms;
+    peakAmplitude = Math.max(peakAmplitude, features.rms);
+    weightedCentroid += features.centroid * features.rms;
+    blocks.add(features);
+  });
   
-  // For this placeholder, return simulated data
   return {
-    averageAmplitude: Math.random() * 0.5 + 0.1,
-    peakAmplitude: Math.random() * 0.8 + 0.2,
-    frequencyProfile: 'mid-range dominant',
-    rhythmicElements: Math.random() > 0.5
+    push(samples) {
+      frames.push(samples);
+    },
+    finish(beatGrid, options) {
+      if (frameCount === 0) {
+        return {
+          averageAmplitude: 0,
+          peakAmplitude: 0,
+          spectralCentroid: 0,
+          frequencyProfile: 'silent',
+          rhythmicElements: false,
+          loopCandidates: []
+        };
+      }
+      
+      // Loudness-weighted centroid so quiet passages don't skew the profile
+      const spectralCentroid = totalLevel > 0 ? weightedCentroid / totalLevel : 0;
+      
+      // Find loops where the end sounds like the start
+      const loopCandidates = findAudioLoopCandidates(blocks.finish(), {
+        minLoopDuration: parseFloat(options.minLoopDuration) || undefined,
+        maxLoopDuration: parseFloat(options.maxLoopDuration) || undefined
+      });
+      
+      return {
+        averageAmplitude: totalLevel / frameCount,
+        peakAmplitude,
+        spectralCentroid,
+        frequencyProfile: describeFrequencyProfile(spectralCentroid),
+        rhythmicElements: Boolean(beatGrid),
+        loopCandidates
+      };
+    }
   };
 }
 
+/**
+ * Describe where most of the spectral energy sits
+ */
+function describeFrequencyProfile(centroid) {
+  if (centroid < 500) {
+    return 'low-range dominant';
+  }
+  if (centroid < 2000) {
+    return 'mid-range dominant';
+  }
+  return 'high-range dominant';
+}
+
 module.exports = {
   analyzeAudio
 };
@@ -0,0 +1,108 @@
+/**
+ * Audio Decoding Service
+ * Decodes audio into per-channel floating point PCM using ffmpeg
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+
+const DEFAULT_SAMPLE_RATE = 44100;
+const DEFAULT_CHANNELS = 2;
+
+/**
+ * Decode audio as 32-bit float PCM, split into one array per channel
+ *
+ * With options.onSamples(channelData, offset) the audio is handed over in
+ * chunks as it is decoded and not kept, so memory stays constant however long
+ * the media is; the result then has a sampleCount instead of channelData.
+ */
+async function decodeAudio(mediaPath, options = {}) {
+  const sampleRate = options.sampleRate || DEFAULT_SAMPLE_RATE;
+  const channels = options.channels || DEFAULT_CHANNELS;
+  const frameBytes = 4 * channels;
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let sampleCount = 0;
+    let failed = false;
+    let pending = Buffer.alloc(0);
+
+    const command = ffmpeg(mediaPath);
+
+    if (options.startTime) {
+      command.setStartTime(options.startTime);
+    }
+
+    if (options.duration) {
+      command.setDuration(options.duration);
+    }
+
+    command
+      .noVideo()
+      .audioChannels(channels)
+      .audioFrequency(sampleRate)
+      .audioCodec('pcm_f32le')
+      .format('f32le')
+      .on('error', (err) => {
+        reject(err);
+      });
+
+    const stream = command.pipe();
+    stream.on('data', (chunk) => {
+      if (failed) {
+        return;
+      }
+      if (!options.onSamples) {
+        chunks.push(chunk);
+        return;
+      }
+
+      // Hand over whole sample frames; a split frame waits for the next chunk
+      pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      const usable = pending.length - pending.length % frameBytes;
+      if (usable === 0) {
+        return;
+      }
+      const channelData = deinterleave(pending.subarray(0, usable), channels);
+      pending = pending.subarray(usable);
+      try {
+        options.onSamples(channelData, sampleCount);
+      } catch (err) {
+        failed = true;
+        command.kill();
+        reject(err);
+        return;
+      }
+      sampleCount += channelData[0].length;
+    });
+    stream.on('end', () => {
+      if (failed) {
+        return;
+      }
+      if (options.onSamples) {
+        resolve({ sampleRate, channels, sampleCount });
+        return;
+      }
+      resolve({ sampleRate, channels, channelData: deinterleave(Buffer.concat(chunks), channels) });
+    });
+  });
+}
+
+/**
+ * Split interleaved float samples into one array per channel
+ */
+function deinterleave(buffer, channels) {
+  const frameCount = Math.floor(buffer.length / (4 * channels));
+  const channelData = Array.from({ length: channels }, () => new Float32Array(frameCount));
+
+  for (let i = 0; i < frameCount; i++) {
+    for (let c = 0; c < channels; c++) {
+      channelData[c][i] = buffer.readFloatLE((i * channels + c) * 4);
+    }
+  }
+
+  return channelData;
+}
+
+module.exports = {
+  decodeAudio
+};
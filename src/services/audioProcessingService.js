@@ -5,27 +5,62 @@
 
 const ffmpeg = require('fluent-ffmpeg');
 const fs = require('fs');
-const path = require('path');
+const { probeMedia } = require('./mediaProbeService');
+const { easingExpression } = require('./easingService');
+
+// Samples per audio frame while fading; volume re-evaluates its gain once per frame.
+// The last frame is left short (p=0) so the fade is not padded with silence
+const FADE_FRAME_SAMPLES = 64;
+// Seconds decoded before the audio used so trims land after an accurate seek
+const SEEK_PREROLL = 1;
+// Loop crossfades default to equal-power gains, which keep the loudness constant across the wrap
+const DEFAULT_EASING = { curve: 'equal-power' };
 
 /**
  * Process audio for smoother looping
+ *
+ * Rebuilds the loop's audio from its source with an overlap-add crossfade at
+ * the wrap point. options.source is { path, startTime } locating the loop in
+ * the source (plus startSample when the loop start was snapped to a sample);
+ * without it the input is its own source. options.easing (from
+ * easingService.parseEasing) sets the gain curves. Returns the crossfade
+ * applied, including the source samples the loop's audio now spans, or null
+ * when there was no audio to crossfade.
  */
-async function processAudio(inputPath, outputPath, fadeDuration) {
+async function processAudio(inputPath, outputPath, fadeDuration, options = {}) {
   try {
-    // Get media information
-    const mediaInfo = await getMediaInfo(inputPath);
+    const source = options.source || { path: inputPath, startTime: 0 };
+    const sourceInfo = source.path === inputPath ? null : await probeMedia(source.path);
+    const loopInfo = await probeMedia(inputPath);
+    const audio = (sourceInfo || loopInfo).audio;
     
     // Skip processing if no audio stream
-    if (!mediaInfo.audio) {
+    if (!audio) {
       // Just copy the file
       await fs.promises.copyFile(inputPath, outputPath);
-      return true;
+      return null;
+    }
+    
+    // The loop's audio is exactly as long as its video
+    const loopDuration = loopInfo.video ? loopInfo.video.duration : loopInfo.duration;
+    const sourceDuration = sourceInfo ? sourceInfo.duration : loopInfo.duration;
+    const crossfade = planLoopCrossfade(source, audio.sampleRate, loopDuration, sourceDuration, fadeDuration);
+    
+    if (crossfade.fadeSamples === 0) {
+      await fs.promises.copyFile(inputPath, outputPath);
+      return null;
     }
     
-    // Process with ffmpeg filters for audio crossfade
-    await applyAudioCrossfade(inputPath, outputPath, mediaInfo.duration, fadeDuration);
+    await applyLoopCrossfade(inputPath, outputPath, source.path, crossfade, options.easing || DEFAULT_EASING);
     
-    return true;
+    return {
+      direction: crossfade.direction,
+      fadeDuration: crossfade.fadeSamples / crossfade.sampleRate,
+      easing: options.easing || DEFAULT_EASING,
+      sampleRate: crossfade.sampleRate,
+      startSample: crossfade.startSample,
+      endSample: crossfade.startSample + crossfade.loopSamples
+    };
   } catch (error) {
     console.error('Error processing audio:', error);
     throw error;
@@ -33,95 +68,64 @@ async function processAudio(inputPath, outputPath, fadeDuration) {
 }
 
 /**
- * Get media information
+ * Sample positions for a loop crossfade
+ *
+ * Audio just past the loop's end is what would naturally follow it, so it is
+ * overlapped onto the loop's start ('postroll'). When the source ends with the
+ * loop, the audio just before its start is overlapped onto its end instead
+ * ('preroll'). The fade is shortened to the audio available either way.
  */
-async function getMediaInfo(mediaPath) {
-  return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(mediaPath, (err, metadata) => {
-      if (err) return reject(err);
-      
-      const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-      const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
-      
-      resolve({
-        duration: metadata.format.duration,
-        video: videoStream ? {
-          codec: videoStream.codec_name,
-          frameRate: eval(videoStream.r_frame_rate),
-          width: videoStream.width,
-          height: videoStream.height
-        } : null,
-        audio: audioStream ? {
-          codec: audioStream.codec_name,
-          channels: audioStream.channels,
-          sampleRate: audioStream.sample_rate,
-          bitRate: audioStream.bit_rate
-        } : null
-      });
-    });
-  });
+function planLoopCrossfade(source, sampleRate, loopDuration, sourceDuration, fadeDuration) {
+  const startSample = source.startSample !== undefined && source.sampleRate === sampleRate
+    ? source.startSample
+    : Math.round(source.startTime * sampleRate);
+  const loopSamples = Math.round(loopDuration * sampleRate);
+  const sourceSamples = Math.floor(sourceDuration * sampleRate);
+  
+  // Ensure fade duration is not too long
+  const maxFadeSamples = Math.min(Math.round(fadeDuration * sampleRate), Math.floor(loopSamples / 4));
+  const postroll = Math.max(0, Math.min(maxFadeSamples, sourceSamples - startSample - loopSamples));
+  const preroll = Math.max(0, Math.min(maxFadeSamples, startSample));
+  const direction = postroll >= preroll ? 'postroll' : 'preroll';
+  
+  return {
+    sampleRate,
+    loopSamples,
+    fadeSamples: direction === 'postroll' ? postroll : preroll,
+    direction,
+    startSample,
+    // First source sample used: the loop start, or the pre-roll before it
+    firstSample: direction === 'postroll' ? startSample : startSample - preroll
+  };
 }
 
 /**
- * Apply audio crossfade at loop boundaries
+ * Replace the loop's audio with source audio crossfaded across the wrap point
  */
-async function applyAudioCrossfade(inputPath, outputPath, duration, fadeDuration) {
-  // Ensure fade duration is not too long
-  fadeDuration = Math.min(fadeDuration, duration / 4);
+async function applyLoopCrossfade(inputPath, outputPath, sourcePath, crossfade, easing) {
+  const { sampleRate, loopSamples, fadeSamples, firstSample } = crossfade;
+  const seekTime = Math.max(0, firstSample / sampleRate - SEEK_PREROLL);
+  const seekSample = Math.round(seekTime * sampleRate);
+  
+  const filters = [
+    `[1:a]atrim=start_sample=${firstSample - seekSample}:end_sample=${firstSample - seekSample + loopSamples + fadeSamples},` +
+      'asetpts=PTS-STARTPTS[source]',
+    ...loopCrossfadeFilters('source', 'a', crossfade, easing)
+  ];
   
   return new Promise((resolve, reject) => {
-    // Extract the audio stream
-    const tempDir = './temp/audio';
-    fs.mkdirSync(tempDir, { recursive: true });
-    
-    const audioPath = path.join(tempDir, 'audio.wav');
-    
     ffmpeg(inputPath)
-      .output(audioPath)
-      .noVideo()
-      .audioCodec('pcm_s16le') // Uncompressed for processing
+      .input(sourcePath)
+      .inputOptions([`-ss ${seekTime}`])
+      .complexFilter(filters)
+      .outputOptions([
+        '-map 0:v?',   // Keep the loop's video, if any
+        '-c:v copy',   // Copy video stream without re-encoding
+        '-map [a]'     // Use the crossfaded audio
+      ])
+      .output(outputPath)
       .on('end', () => {
-        // Process the audio with crossfade
-        const processedAudioPath = path.join(tempDir, 'processed_audio.wav');
-        
-        ffmpeg(audioPath)
-          .complexFilter([
-            // Apply fade out at the end
-            `afade=t=out:st=${duration-fadeDuration}:d=${fadeDuration}`,
-            // Create a copy of the audio with fade in at the beginning
-            `asplit=2[a][b]`,
-            `[b]afade=t=in:st=0:d=${fadeDuration}[fadedin]`,
-            // Mix the original with the faded version to create crossfade effect
-            `[a][fadedin]amix=inputs=2:weights=1 1:duration=shortest`
-          ])
-          .output(processedAudioPath)
-          .on('end', () => {
-            // Combine processed audio with original video
-            ffmpeg(inputPath)
-              .input(processedAudioPath)
-              .outputOptions([
-                '-c:v copy',       // Copy video stream without re-encoding
-                '-map 0:v:0',      // Use video from first input
-                '-map 1:a:0',      // Use audio from second input
-                '-shortest'        // End when shortest input ends
-              ])
-              .output(outputPath)
-              .on('end', () => {
-                // Clean up temp files
-                fs.unlinkSync(audioPath);
-                fs.unlinkSync(processedAudioPath);
-                fs.rmdirSync(tempDir);
-                resolve();
-              })
-              .on('error', (err) => {
-                reject(err);
-              })
-              .run();
-          })
-          .on('error', (err) => {
-            reject(err);
-          })
-          .run();
+        resolve();
       })
       .on('error', (err) => {
         reject(err);
@@ -130,6 +134,43 @@ async function applyAudioCrossfade(inputPath, outputPath, duration, fadeDuration
   });
 }
 
+/**
+ * Filters overlap-adding an audio stream into a seamless loop of crossfade.loopSamples
+ *
+ * The input stream starts at the first sample used and runs at least N + F
+ * samples (N loop samples, F fade samples). Its samples N to N + F fade out
+ * over its first F as they fade in, and the mix goes first (postroll) or last
+ * (preroll) next to samples F to N. The result is N samples long, leaves the
+ * loop's middle untouched and ends on exactly the audio that precedes its
+ * first sample, so the wrap is continuous. Labels are prefixed with the output
+ * label so the filters can be used more than once in a graph.
+ */
+function loopCrossfadeFilters(input, output, crossfade, easing = DEFAULT_EASING) {
+  const { sampleRate, loopSamples, fadeSamples, direction } = crossfade;
+  const fadeDuration = fadeSamples / sampleRate;
+  const label = name => `${output}_${name}`;
+  
+  // Gains along the easing curve; the outgoing side uses the mirrored curve
+  const fadeIn = easingExpression(easing, `t/${fadeDuration}`);
+  const fadeOut = easingExpression(easing, `1-t/${fadeDuration}`);
+  
+  return [
+    `[${input}]asplit=3[${label('incomingSource')}][${label('outgoingSource')}][${label('bodySource')}]`,
+    `[${label('incomingSource')}]atrim=end_sample=${fadeSamples},asetnsamples=n=${FADE_FRAME_SAMPLES}:p=0,` +
+      `volume=eval=frame:volume='${fadeIn}'[${label('incoming')}]`,
+    `[${label('outgoingSource')}]atrim=start_sample=${loopSamples}:end_sample=${loopSamples + fadeSamples},` +
+      `asetpts=PTS-STARTPTS,asetnsamples=n=${FADE_FRAME_SAMPLES}:p=0,volume=eval=frame:volume='${fadeOut}'[${label('outgoing')}]`,
+    `[${label('bodySource')}]atrim=start_sample=${fadeSamples}:end_sample=${loopSamples},asetpts=PTS-STARTPTS[${label('body')}]`,
+    // Plain sum: the gains already set the levels
+    `[${label('outgoing')}][${label('incoming')}]amix=inputs=2:duration=longest:normalize=0[${label('seam')}]`,
+    direction === 'preroll'
+      ? `[${label('body')}][${label('seam')}]concat=n=2:v=0:a=1[${output}]`
+      : `[${label('seam')}][${label('body')}]concat=n=2:v=0:a=1[${output}]`
+  ];
+}
+
 module.exports = {
-  processAudio
+  processAudio,
+  planLoopCrossfade,
+  loopCrossfadeFilters
 };
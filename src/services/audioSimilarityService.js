@@ -0,0 +1,204 @@
+/**
+ * Audio Similarity Service
+ * Audio self-similarity from spectral features, used to find loops whose end sounds like their start
+ */
+
+// Seconds of audio summarized by each feature block
+const BLOCK_DURATION = 0.25;
+// Seconds of context compared on either side of a loop point
+const CONTEXT_DURATION = 1.0;
+// Loop length limits (seconds)
+const DEFAULT_MIN_LOOP_DURATION = 1.0;
+const DEFAULT_MAX_LOOP_DURATION = 30.0;
+// Maximum number of candidates returned
+const DEFAULT_MAX_CANDIDATES = 5;
+// Weights of the pitch, timbre and loudness similarity
+const CHROMA_WEIGHT = 0.4;
+const TIMBRE_WEIGHT = 0.4;
+const LOUDNESS_WEIGHT = 0.2;
+
+/**
+ * Average frame features over fixed-length blocks
+ */
+function computeFeatureBlocks(frames) {
+  if (frames.length === 0) {
+    return [];
+  }
+
+  const frameStep = frames.length > 1 ? frames[1].time - frames[0].time : BLOCK_DURATION;
+  const accumulator = createFeatureBlockAccumulator(frameStep);
+  for (const frame of frames) {
+    accumulator.add(frame);
+  }
+  return accumulator.finish();
+}
+
+/**
+ * Incremental version of computeFeatureBlocks for frames spaced frameStep seconds apart
+ *
+ * add(frame) takes the frames in order; only the current block's frames are
+ * kept. finish() returns the blocks with their timbre standardized.
+ */
+function createFeatureBlockAccumulator(frameStep) {
+  const framesPerBlock = Math.max(1, Math.round(BLOCK_DURATION / frameStep));
+  const blocks = [];
+  let group = [];
+
+  return {
+    add(frame) {
+      group.push(frame);
+      if (group.length === framesPerBlock) {
+        blocks.push(averageFrames(group));
+        group = [];
+      }
+    },
+    finish() {
+      if (group.length > 0) {
+        blocks.push(averageFrames(group));
+        group = [];
+      }
+      if (blocks.length > 0) {
+        standardizeTimbre(blocks);
+      }
+      return blocks;
+    }
+  };
+}
+
+/**
+ * Average the features of one block's frames
+ */
+function averageFrames(group) {
+  const chroma = new Float32Array(12);
+  const mfcc = new Float32Array(group[0].mfcc.length);
+  let rms = 0;
+
+  for (const frame of group) {
+    rms += frame.rms / group.length;
+    for (let p = 0; p < 12; p++) {
+      chroma[p] += frame.chroma[p] / group.length;
+    }
+    for (let c = 0; c < mfcc.length; c++) {
+      mfcc[c] += frame.mfcc[c] / group.length;
+    }
+  }
+
+  return { time: group[0].time, rms, chroma, mfcc };
+}
+
+/**
+ * Similarity (0-1) between two feature blocks
+ */
+function compareBlocks(a, b) {
+  // Pitch content: cosine similarity of the chroma vectors
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let p = 0; p < 12; p++) {
+    dot += a.chroma[p] * b.chroma[p];
+    normA += a.chroma[p] * a.chroma[p];
+    normB += b.chroma[p] * b.chroma[p];
+  }
+  const chroma = normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 1;
+
+  // Timbre: distance between standardized cepstral coefficients (c0 is loudness)
+  let distance = 0;
+  for (let c = 1; c < a.mfcc.length; c++) {
+    distance += (a.mfcc[c] - b.mfcc[c]) ** 2;
+  }
+  const timbre = 1 / (1 + Math.sqrt(distance / (a.mfcc.length - 1)));
+
+  // Loudness: ratio of the RMS levels
+  const loudness = Math.max(a.rms, b.rms) > 0 ? Math.min(a.rms, b.rms) / Math.max(a.rms, b.rms) : 1;
+
+  return CHROMA_WEIGHT * chroma + TIMBRE_WEIGHT * timbre + LOUDNESS_WEIGHT * loudness;
+}
+
+/**
+ * Find loops whose audio around the end matches the audio around the start
+ */
+function findAudioLoopCandidates(blocks, options = {}) {
+  if (blocks.length < 2) {
+    return [];
+  }
+
+  const blockDuration = blocks[1].time - blocks[0].time;
+  const minLag = Math.max(1, Math.round((options.minLoopDuration || DEFAULT_MIN_LOOP_DURATION) / blockDuration));
+  const maxLag = Math.round((options.maxLoopDuration || DEFAULT_MAX_LOOP_DURATION) / blockDuration);
+  const context = Math.max(1, Math.round(CONTEXT_DURATION / blockDuration));
+  const maxCandidates = options.maxCandidates || DEFAULT_MAX_CANDIDATES;
+
+  // Only the best end for each start block is kept while scanning, so the
+  // pairs grow with the duration rather than with duration times loop length
+  const pairs = [];
+
+  for (let i = 0; i < blocks.length; i++) {
+    let best = null;
+    for (let j = i + minLag; j <= Math.min(blocks.length - 1, i + maxLag); j++) {
+      // Audio leading into the end should match audio leading into the start,
+      // and audio after the end should match what follows the start
+      let total = 0;
+      let count = 0;
+      for (let k = -context; k < context; k++) {
+        if (i + k < 0 || j + k >= blocks.length) {
+          continue;
+        }
+        total += compareBlocks(blocks[i + k], blocks[j + k]);
+        count++;
+      }
+
+      if (count > 0 && (!best || total / count > best.similarity)) {
+        best = { i, j, similarity: total / count };
+      }
+    }
+    if (best) {
+      pairs.push(best);
+    }
+  }
+
+  pairs.sort((a, b) => b.similarity - a.similarity);
+
+  // Keep the best pair in each neighbourhood
+  const candidates = [];
+  for (const pair of pairs) {
+    const overlaps = candidates.some(candidate =>
+      Math.abs(candidate.i - pair.i) < context && Math.abs(candidate.j - pair.j) < context
+    );
+    if (!overlaps) {
+      candidates.push(pair);
+      if (candidates.length >= maxCandidates) {
+        break;
+      }
+    }
+  }
+
+  return candidates.map(candidate => ({
+    startTime: blocks[candidate.i].time,
+    endTime: blocks[candidate.j].time,
+    similarity: candidate.similarity,
+    confidence: candidate.similarity
+  }));
+}
+
+/**
+ * Scale each cepstral coefficient to zero mean and unit variance across blocks
+ */
+function standardizeTimbre(blocks) {
+  const coefficients = blocks[0].mfcc.length;
+
+  for (let c = 0; c < coefficients; c++) {
+    const mean = blocks.reduce((sum, block) => sum + block.mfcc[c], 0) / blocks.length;
+    const variance = blocks.reduce((sum, block) => sum + (block.mfcc[c] - mean) ** 2, 0) / blocks.length;
+    const deviation = Math.sqrt(variance) || 1;
+    for (const block of blocks) {
+      block.mfcc[c] = (block.mfcc[c] - mean) / deviation;
+    }
+  }
+}
+
+module.exports = {
+  computeFeatureBlocks,
+  createFeatureBlockAccumulator,
+  compareBlocks,
+  findAudioLoopCandidates
+};
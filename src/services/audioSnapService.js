@@ -0,0 +1,154 @@
+/**
+ * Audio Snap Service
+ * Snaps audio loop points to zero crossings whose slope matches across the seam
+ */
+
+const { decodeAudio } = require('./audioDecodingService');
+
+// Seconds searched on either side of each loop point
+const DEFAULT_SNAP_WINDOW = 0.01;
+// Weight of the slope mismatch relative to the level mismatch
+const SLOPE_WEIGHT = 4;
+// Cost added per second of movement away from the requested loop points
+const DRIFT_WEIGHT = 0.5;
+
+/**
+ * Find sample-accurate loop points near the requested start and end times
+ */
+async function snapAudioLoopPoints(mediaPath, startTime, endTime, options) {
+  const sampleRate = options.sampleRate;
+  const channels = options.channels;
+  const window = options.window || DEFAULT_SNAP_WINDOW;
+
+  const startRegion = await decodeRegion(mediaPath, startTime, window, sampleRate, channels);
+  const endRegion = await decodeRegion(mediaPath, endTime, window, sampleRate, channels);
+
+  const targetStart = Math.round(startTime * sampleRate);
+  const targetEnd = Math.round(endTime * sampleRate);
+  const snapped = findBestSnapPair(startRegion, endRegion, targetStart, targetEnd, sampleRate);
+
+  return {
+    sampleRate,
+    startSample: snapped.startSample,
+    endSample: snapped.endSample,
+    startTime: snapped.startSample / sampleRate,
+    endTime: snapped.endSample / sampleRate,
+    startOffset: snapped.startSample - targetStart,
+    endOffset: snapped.endSample - targetEnd,
+    snapped: snapped.snapped
+  };
+}
+
+/**
+ * Pick the start/end sample pair that joins most smoothly when the loop wraps
+ *
+ * Each region is { firstSample, channelData }. The loop plays [start, end), so the
+ * sample after the seam is start and the one the source would have played is end:
+ * a click-free seam needs those two to match in level and slope on every channel.
+ */
+function findBestSnapPair(startRegion, endRegion, targetStart, targetEnd, sampleRate) {
+  const startCandidates = findZeroCrossings(startRegion);
+  const endCandidates = findZeroCrossings(endRegion);
+
+  let best = null;
+
+  for (const start of startCandidates) {
+    for (const end of endCandidates) {
+      const cost = seamCost(startRegion, start, endRegion, end) +
+        DRIFT_WEIGHT * (Math.abs(start.sample - targetStart) + Math.abs(end.sample - targetEnd)) / sampleRate;
+      if (!best || cost < best.cost) {
+        best = { start, end, cost };
+      }
+    }
+  }
+
+  // Every pair may join crossings of opposite direction, which is no better than not snapping
+  if (!best || !Number.isFinite(best.cost) || best.end.sample <= best.start.sample) {
+    return { startSample: targetStart, endSample: targetEnd, snapped: false };
+  }
+
+  return {
+    startSample: best.start.sample,
+    endSample: best.end.sample,
+    snapped: true
+  };
+}
+
+/**
+ * Zero crossings of the channel mix, with the direction of each crossing
+ */
+function findZeroCrossings(region) {
+  const crossings = [];
+  const length = region.channelData[0].length;
+
+  let previous = mixSample(region.channelData, 0);
+  for (let i = 1; i < length; i++) {
+    const current = mixSample(region.channelData, i);
+    if ((previous < 0 && current >= 0) || (previous >= 0 && current < 0)) {
+      // Use whichever of the two samples is closer to zero
+      const index = Math.abs(previous) < Math.abs(current) ? i - 1 : i;
+      crossings.push({
+        index,
+        sample: region.firstSample + index,
+        rising: current >= previous
+      });
+    }
+    previous = current;
+  }
+
+  return crossings;
+}
+
+/**
+ * Level and slope mismatch between two positions, summed over all channels
+ */
+function seamCost(startRegion, start, endRegion, end) {
+  // Joining a rising crossing to a falling one always produces a kink
+  if (start.rising !== end.rising) {
+    return Infinity;
+  }
+
+  let cost = 0;
+  for (let c = 0; c < startRegion.channelData.length; c++) {
+    const a = startRegion.channelData[c];
+    const b = endRegion.channelData[c];
+    cost += Math.abs(a[start.index] - b[end.index]);
+    cost += SLOPE_WEIGHT * Math.abs(slopeAt(a, start.index) - slopeAt(b, end.index));
+  }
+
+  return cost;
+}
+
+function slopeAt(samples, index) {
+  const before = samples[Math.max(0, index - 1)];
+  const after = samples[Math.min(samples.length - 1, index + 1)];
+  return (after - before) / 2;
+}
+
+function mixSample(channelData, index) {
+  let total = 0;
+  for (const channel of channelData) {
+    total += channel[index];
+  }
+  return total;
+}
+
+/**
+ * Decode the samples within a window around a point in time
+ */
+async function decodeRegion(mediaPath, centerTime, window, sampleRate, channels) {
+  const firstSample = Math.max(0, Math.round((centerTime - window) * sampleRate));
+  const { channelData } = await decodeAudio(mediaPath, {
+    startTime: firstSample / sampleRate,
+    duration: window * 2,
+    sampleRate,
+    channels
+  });
+
+  return { firstSample, channelData };
+}
+
+module.exports = {
+  snapAudioLoopPoints,
+  findBestSnapPair
+};
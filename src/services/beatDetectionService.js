@@ -0,0 +1,316 @@
+/**
+ * Beat Detection Service
+ * Onset detection, tempo estimation and beat/downbeat tracking for music
+ */
+
+const { createFrameStream, createSpectrumAnalyzer, mixToMono } = require('./spectralAnalysisService');
+
+// Spectrogram settings for the onset envelope
+const ONSET_FRAME_SIZE = 1024;
+const ONSET_HOP_SIZE = 256;
+// Tempo search range (beats per minute)
+const MIN_BPM = 60;
+const MAX_BPM = 180;
+// Tempo prior: centre and width (in octaves) of the preferred tempo range
+const PREFERRED_BPM = 120;
+const PRIOR_OCTAVE_WIDTH = 1.0;
+// How strongly beat tracking sticks to the estimated tempo
+const TRACKING_TIGHTNESS = 100;
+// Beats per bar assumed when estimating downbeats
+const DEFAULT_BEATS_PER_BAR = 4;
+// Loop lengths (in bars) proposed for music with a detected beat grid
+const MUSICAL_LOOP_BARS = [1, 2, 4, 8];
+
+/**
+ * Detect tempo, beat grid and downbeats in decoded audio
+ */
+function detectBeats(channelData, sampleRate, options = {}) {
+  return detectBeatsInEnvelope(computeOnsetEnvelope(mixToMono(channelData), sampleRate), options);
+}
+
+/**
+ * Detect tempo, beat grid and downbeats from an onset envelope
+ */
+function detectBeatsInEnvelope(onsets, options = {}) {
+  const beatsPerBar = options.beatsPerBar || DEFAULT_BEATS_PER_BAR;
+  const { envelope, envelopeRate, timeOffset } = onsets;
+  const tempo = estimateTempo(envelope, envelopeRate, options);
+
+  if (!tempo) {
+    return null;
+  }
+
+  const beatFrames = trackBeats(envelope, envelopeRate * 60 / tempo.bpm);
+  if (beatFrames.length < beatsPerBar * 2) {
+    return null;
+  }
+
+  const downbeatPhase = estimateDownbeatPhase(beatFrames, envelope, beatsPerBar);
+  const beats = beatFrames.map(frame => frame / envelopeRate + timeOffset);
+  const beatDuration = 60 / tempo.bpm;
+
+  return {
+    bpm: tempo.bpm,
+    confidence: tempo.confidence,
+    beatsPerBar,
+    beatDuration,
+    barDuration: beatDuration * beatsPerBar,
+    beats,
+    downbeats: beats.filter((beat, i) => i % beatsPerBar === downbeatPhase)
+  };
+}
+
+/**
+ * Spectral flux onset strength envelope
+ */
+function computeOnsetEnvelope(samples, sampleRate) {
+  const detector = createOnsetDetector(sampleRate);
+  detector.push(samples);
+  return detector.finish();
+}
+
+/**
+ * Incremental onset envelope of a mono stream
+ *
+ * push(samples) takes the audio in chunks; only the previous spectrum and one
+ * flux value per hop are kept. finish() returns the normalized envelope.
+ */
+function createOnsetDetector(sampleRate) {
+  const spectrum = createSpectrumAnalyzer(ONSET_FRAME_SIZE);
+  const flux = [];
+  let previous = null;
+
+  const frames = createFrameStream(ONSET_FRAME_SIZE, ONSET_HOP_SIZE, (frame) => {
+    // Log compression keeps loud sustained notes from masking quieter onsets
+    const current = spectrum(frame).map(magnitude => Math.log1p(100 * magnitude));
+    let total = 0;
+    if (previous) {
+      for (let k = 0; k < current.length; k++) {
+        total += Math.max(0, current[k] - previous[k]);
+      }
+    }
+    flux.push(total);
+    previous = current;
+  });
+
+  return {
+    push(samples) {
+      frames.push(samples);
+    },
+    finish() {
+      const envelope = Float32Array.from(flux);
+
+      // Remove the slowly varying level so only onsets remain, then normalize
+      const smoothed = movingAverage(envelope, Math.round(sampleRate / ONSET_HOP_SIZE / 2));
+      let peak = 0;
+      for (let t = 0; t < envelope.length; t++) {
+        envelope[t] = Math.max(0, envelope[t] - smoothed[t]);
+        peak = Math.max(peak, envelope[t]);
+      }
+      if (peak > 0) {
+        for (let t = 0; t < envelope.length; t++) {
+          envelope[t] /= peak;
+        }
+      }
+
+      return {
+        envelope,
+        envelopeRate: sampleRate / ONSET_HOP_SIZE,
+        timeOffset: ONSET_FRAME_SIZE / 2 / sampleRate // Envelope frames are timed at their centre
+      };
+    }
+  };
+}
+
+/**
+ * Estimate tempo from the autocorrelation of the onset envelope
+ */
+function estimateTempo(envelope, envelopeRate, options = {}) {
+  const minBpm = options.minBpm || MIN_BPM;
+  const maxBpm = options.maxBpm || MAX_BPM;
+  const minLag = Math.max(1, Math.floor(envelopeRate * 60 / maxBpm));
+  const maxLag = Math.ceil(envelopeRate * 60 / minBpm);
+
+  if (envelope.length < maxLag * 2) {
+    return null;
+  }
+
+  const mean = envelope.reduce((sum, value) => sum + value, 0) / envelope.length;
+  const centered = envelope.map(value => value - mean);
+  const energy = autocorrelate(centered, 0);
+  if (energy <= 0) {
+    return null;
+  }
+
+  let bestLag = 0;
+  let bestScore = 0;
+  let bestCorrelation = 0;
+
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const correlation = autocorrelate(centered, lag) / energy;
+    // Weight towards typical tempos to avoid picking half or double time
+    const octaves = Math.log2((envelopeRate * 60 / lag) / PREFERRED_BPM) / PRIOR_OCTAVE_WIDTH;
+    const score = correlation * Math.exp(-0.5 * octaves * octaves);
+    if (score > bestScore) {
+      bestLag = lag;
+      bestScore = score;
+      bestCorrelation = correlation;
+    }
+  }
+
+  if (bestLag === 0) {
+    return null;
+  }
+
+  // Parabolic interpolation around the peak for sub-frame lag precision
+  let lag = bestLag;
+  if (bestLag > minLag && bestLag < maxLag) {
+    const before = autocorrelate(centered, bestLag - 1);
+    const at = autocorrelate(centered, bestLag);
+    const after = autocorrelate(centered, bestLag + 1);
+    const curvature = before - 2 * at + after;
+    if (curvature < 0) {
+      lag += 0.5 * (before - after) / curvature;
+    }
+  }
+
+  return {
+    bpm: envelopeRate * 60 / lag,
+    confidence: Math.min(1, Math.max(0, bestCorrelation))
+  };
+}
+
+/**
+ * Dynamic programming beat tracker; returns beat positions in envelope frames
+ */
+function trackBeats(envelope, period) {
+  const length = envelope.length;
+  const score = new Float32Array(length);
+  const backlink = new Int32Array(length).fill(-1);
+  const minStep = Math.round(period / 2);
+  const maxStep = Math.round(period * 2);
+
+  for (let t = 0; t < length; t++) {
+    let best = 0;
+    let bestPrevious = -1;
+
+    for (let previous = t - maxStep; previous <= t - minStep; previous++) {
+      if (previous < 0) {
+        continue;
+      }
+      // Penalize beat intervals that stray from the tempo period
+      const deviation = Math.log((t - previous) / period);
+      const candidate = score[previous] - TRACKING_TIGHTNESS * deviation * deviation;
+      if (bestPrevious === -1 || candidate > best) {
+        best = candidate;
+        bestPrevious = previous;
+      }
+    }
+
+    score[t] = envelope[t] + Math.max(0, best);
+    backlink[t] = best > 0 ? bestPrevious : -1;
+  }
+
+  // Start from the best scoring frame within the final beat period
+  let last = Math.max(0, length - Math.round(period));
+  for (let t = last; t < length; t++) {
+    if (score[t] > score[last]) {
+      last = t;
+    }
+  }
+
+  const beats = [];
+  for (let t = last; t >= 0; t = backlink[t]) {
+    beats.unshift(t);
+  }
+
+  return beats;
+}
+
+/**
+ * Pick which beat within the bar is the downbeat by its average onset strength
+ */
+function estimateDownbeatPhase(beatFrames, envelope, beatsPerBar) {
+  let bestPhase = 0;
+  let bestStrength = -1;
+
+  for (let phase = 0; phase < beatsPerBar; phase++) {
+    let total = 0;
+    let count = 0;
+    for (let i = phase; i < beatFrames.length; i += beatsPerBar) {
+      total += envelope[beatFrames[i]];
+      count++;
+    }
+    const strength = count > 0 ? total / count : 0;
+    if (strength > bestStrength) {
+      bestPhase = phase;
+      bestStrength = strength;
+    }
+  }
+
+  return bestPhase;
+}
+
+/**
+ * Propose loops whose length is an integer number of bars
+ */
+function findMusicalLoopPoints(beatGrid) {
+  const points = [];
+  const downbeats = beatGrid.downbeats;
+
+  for (const bars of MUSICAL_LOOP_BARS) {
+    if (downbeats.length <= bars) {
+      break;
+    }
+
+    // Start on the first downbeat so the loop lines up with the phrase
+    points.push({
+      startTime: downbeats[0],
+      endTime: downbeats[bars],
+      confidence: beatGrid.confidence,
+      reason: `${bars}-bar musical loop at ${Math.round(beatGrid.bpm)} BPM`,
+      bars
+    });
+  }
+
+  return points;
+}
+
+function autocorrelate(values, lag) {
+  let total = 0;
+  for (let i = lag; i < values.length; i++) {
+    total += values[i] * values[i - lag];
+  }
+  return total;
+}
+
+function movingAverage(values, radius) {
+  const result = new Float32Array(values.length);
+  let total = 0;
+  let count = 0;
+  let from = 0;
+  let to = -1;
+
+  for (let i = 0; i < values.length; i++) {
+    while (to < Math.min(values.length - 1, i + radius)) {
+      total += values[++to];
+      count++;
+    }
+    while (from < i - radius) {
+      total -= values[from++];
+      count--;
+    }
+    result[i] = total / count;
+  }
+
+  return result;
+}
+
+module.exports = {
+  detectBeats,
+  detectBeatsInEnvelope,
+  computeOnsetEnvelope,
+  createOnsetDetector,
+  estimateTempo,
+  findMusicalLoopPoints
+};
@@ -0,0 +1,212 @@
+/**
+ * Camera Motion Service
+ * Classifies camera movement (static, pan, tilt, zoom, shaky) from per-frame motion fields
+ */
+
+// Translation below this fraction of the search range counts as no movement
+const STATIC_TRANSLATION = 0.08;
+// Relative scale change per sample below which there is no zoom
+const STATIC_ZOOM = 0.01;
+// Window (in samples) used to decide whether movement is jittery
+const SHAKE_WINDOW = 5;
+// Fraction of direction reversals within the window that marks footage as shaky
+const SHAKE_REVERSAL_RATIO = 0.5;
+// Segments shorter than this (seconds) are merged into their neighbours
+const MIN_SEGMENT_DURATION = 0.5;
+
+/**
+ * Fit a translation + zoom camera model to a block motion field
+ */
+function estimateCameraModel(field) {
+  const vectors = field.vectors.filter(vector => vector.reliable);
+  const usable = vectors.length > 0 ? vectors : field.vectors;
+
+  if (usable.length === 0) {
+    return { dx: 0, dy: 0, zoom: 0 };
+  }
+
+  const centerX = field.width / 2;
+  const centerY = field.height / 2;
+  const half = field.blockSize / 2;
+
+  // Translation is the global (median) motion; zoom is the median radial scale
+  // of blocks away from the centre, which is robust to mismatched border blocks
+  const { dx, dy } = field.globalMotion;
+  const minRadius = Math.min(field.width, field.height) / 4;
+  const ratios = [];
+
+  for (const vector of usable) {
+    const px = vector.x + half - centerX;
+    const py = vector.y + half - centerY;
+    const radiusSquared = px * px + py * py;
+    if (radiusSquared >= minRadius * minRadius) {
+      ratios.push((px * (vector.dx - dx) + py * (vector.dy - dy)) / radiusSquared);
+    }
+  }
+
+  return {
+    dx,
+    dy,
+    zoom: ratios.length > 0 ? median(ratios) : 0
+  };
+}
+
+/**
+ * Label a single camera model without temporal context
+ */
+function classifyModel(model, scale, radius) {
+  const translation = Math.sqrt(model.dx * model.dx + model.dy * model.dy);
+
+  if (translation / scale < STATIC_TRANSLATION && Math.abs(model.zoom) < STATIC_ZOOM) {
+    return 'static';
+  }
+
+  // Zoom wins when radial movement at the frame corners outweighs translation
+  if (Math.abs(model.zoom) >= STATIC_ZOOM && Math.abs(model.zoom) * radius > translation) {
+    return 'zoom';
+  }
+
+  return Math.abs(model.dx) >= Math.abs(model.dy) ? 'pan' : 'tilt';
+}
+
+/**
+ * Classify camera motion for each sampled frame and group it into a timeline
+ *
+ * Each sample is { time, model, scale, radius }: the camera model, the largest
+ * representable displacement and the centre-to-corner distance, in analysis pixels.
+ */
+function classifyCameraMotion(samples, options = {}) {
+  const minSegmentDuration = options.minSegmentDuration || MIN_SEGMENT_DURATION;
+
+  const labels = samples.map(sample => classifyModel(sample.model, sample.scale, sample.radius));
+
+  // Frequent direction reversals inside a moving window indicate handheld shake
+  for (let i = 0; i < samples.length; i++) {
+    const from = Math.max(1, i - Math.floor(SHAKE_WINDOW / 2));
+    const to = Math.min(samples.length - 1, i + Math.floor(SHAKE_WINDOW / 2));
+    let reversals = 0;
+    let moving = 0;
+
+    for (let j = from; j <= to; j++) {
+      const previous = samples[j - 1].model;
+      const current = samples[j].model;
+      if (labels[j] === 'static') {
+        continue;
+      }
+      moving++;
+      if (previous.dx * current.dx < 0 || previous.dy * current.dy < 0) {
+        reversals++;
+      }
+    }
+
+    if (labels[i] !== 'static' && moving > 1 && reversals / moving >= SHAKE_REVERSAL_RATIO) {
+      labels[i] = 'shaky';
+    }
+  }
+
+  const timeline = mergeShortSegments(buildSegments(samples, labels), minSegmentDuration);
+
+  return {
+    labels: labelsFromTimeline(samples, timeline),
+    timeline
+  };
+}
+
+/**
+ * Group consecutive identical labels into segments
+ */
+function buildSegments(samples, labels) {
+  const segments = [];
+
+  for (let i = 0; i < samples.length; i++) {
+    const last = segments[segments.length - 1];
+    const endTime = i + 1 < samples.length ? samples[i + 1].time : samples[i].time;
+
+    if (last && last.type === labels[i]) {
+      last.endTime = endTime;
+      last.samples.push(samples[i]);
+    } else {
+      segments.push({
+        startTime: samples[i].time,
+        endTime,
+        type: labels[i],
+        samples: [samples[i]]
+      });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Absorb segments that are too short into the preceding (or following) segment
+ */
+function mergeShortSegments(segments, minDuration) {
+  const merged = [];
+
+  for (const segment of segments) {
+    const last = merged[merged.length - 1];
+    const tooShort = segment.endTime - segment.startTime < minDuration;
+
+    if (last && (tooShort || last.type === segment.type)) {
+      last.endTime = segment.endTime;
+      last.samples = last.samples.concat(segment.samples);
+    } else {
+      merged.push({ ...segment });
+    }
+  }
+
+  // A short leading segment joins the one after it
+  if (merged.length > 1 && merged[0].endTime - merged[0].startTime < minDuration) {
+    merged[1].startTime = merged[0].startTime;
+    merged[1].samples = merged[0].samples.concat(merged[1].samples);
+    merged.shift();
+  }
+
+  return merged.map(segment => ({
+    startTime: segment.startTime,
+    endTime: segment.endTime,
+    type: segment.type,
+    averageMotion: averageModel(segment.samples)
+  }));
+}
+
+/**
+ * Per-sample labels after segment merging
+ */
+function labelsFromTimeline(samples, timeline) {
+  return samples.map(sample => {
+    const segment = timeline.find((s, i) =>
+      sample.time >= s.startTime && (sample.time < s.endTime || i === timeline.length - 1)
+    );
+    return segment ? segment.type : 'static';
+  });
+}
+
+/**
+ * Mean camera model of a set of samples
+ */
+function averageModel(samples) {
+  const total = samples.reduce((sum, sample) => ({
+    dx: sum.dx + sample.model.dx,
+    dy: sum.dy + sample.model.dy,
+    zoom: sum.zoom + sample.model.zoom
+  }), { dx: 0, dy: 0, zoom: 0 });
+
+  return {
+    dx: total.dx / samples.length,
+    dy: total.dy / samples.length,
+    zoom: total.zoom / samples.length
+  };
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+module.exports = {
+  estimateCameraModel,
+  classifyCameraMotion
+};
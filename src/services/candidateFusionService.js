@@ -0,0 +1,189 @@
+/**
+ * Candidate Fusion Service
+ * Merges loop candidates from visual, audio, rhythm, scene and AI analysis into scored recommendations
+ */
+
+const { findMusicalLoopPoints } = require('./beatDetectionService');
+
+// Default contribution of each signal to the fused score
+const DEFAULT_WEIGHTS = {
+  visual: 0.35,
+  audio: 0.25,
+  rhythm: 0.15,
+  scene: 0.1,
+  silence: 0.05,
+  ai: 0.1
+};
+// Candidates whose start and end both lie within this many seconds describe the same loop
+const DEFAULT_MERGE_TOLERANCE = 0.5;
+// Number of fused recommendations returned
+const DEFAULT_MAX_RESULTS = 5;
+// Frame analysis reports visual and scene candidates in one list
+const FRAME_SIGNALS = {
+  'Visual similarity': 'visual',
+  'Scene transition': 'scene',
+  'Ping-pong (no matching frames)': 'visual'
+};
+
+/**
+ * Gather loop candidates from every analysis, labelled with the signal they came from
+ */
+function collectLoopCandidates(frameAnalysis, audioAnalysis, geminiAnalysis) {
+  const candidates = [];
+
+  if (frameAnalysis && frameAnalysis.potentialLoopPoints) {
+    for (const point of frameAnalysis.potentialLoopPoints) {
+      candidates.push({ ...point, signal: FRAME_SIGNALS[point.reason] || 'visual' });
+    }
+  }
+
+  if (audioAnalysis && audioAnalysis.waveformAnalysis) {
+    for (const candidate of audioAnalysis.waveformAnalysis.loopCandidates) {
+      candidates.push({ ...candidate, reason: 'Audio similarity', signal: 'audio' });
+    }
+  }
+
+  if (audioAnalysis && audioAnalysis.beatGrid) {
+    for (const candidate of findMusicalLoopPoints(audioAnalysis.beatGrid)) {
+      candidates.push({ ...candidate, signal: 'rhythm' });
+    }
+  }
+
+  if (geminiAnalysis && geminiAnalysis.recommendedLoopPoints) {
+    for (const point of geminiAnalysis.recommendedLoopPoints) {
+      candidates.push({ ...point, signal: 'ai' });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Merge candidates for the same time range and score them with weighted signals
+ *
+ * Silence ranges are not loops on their own; they only support candidates whose
+ * start and end both fall in silence.
+ */
+function fuseLoopCandidates(candidates, silencePoints, options = {}) {
+  const weights = { ...DEFAULT_WEIGHTS, ...(options.weights || {}) };
+  const tolerance = options.mergeTolerance || DEFAULT_MERGE_TOLERANCE;
+  const maxResults = options.maxResults || DEFAULT_MAX_RESULTS;
+
+  // Only signals that produced anything count towards the normalization, so
+  // e.g. silent video isn't penalized for having no audio candidates
+  const activeSignals = new Set(candidates.map(candidate => candidate.signal));
+  if (silencePoints && silencePoints.length > 0) {
+    activeSignals.add('silence');
+  }
+  const totalWeight = [...activeSignals].reduce((sum, signal) => sum + (weights[signal] || 0), 0);
+
+  const groups = groupCandidates(candidates, tolerance);
+
+  const fused = groups.map(group => {
+    // The strongest weighted member defines the time range and carries its details
+    const representative = group.reduce((best, candidate) =>
+      candidate.confidence * (weights[candidate.signal] || 0) >
+        best.confidence * (weights[best.signal] || 0) ? candidate : best
+    );
+
+    const signalConfidence = {};
+    for (const candidate of group) {
+      signalConfidence[candidate.signal] = Math.max(signalConfidence[candidate.signal] || 0, candidate.confidence);
+    }
+    const silence = silenceSupport(silencePoints, representative.startTime, representative.endTime);
+    if (silence > 0) {
+      signalConfidence.silence = silence;
+    }
+
+    const scoreBreakdown = {};
+    let score = 0;
+    for (const signal of activeSignals) {
+      const confidence = signalConfidence[signal] || 0;
+      const weight = weights[signal] || 0;
+      const contribution = totalWeight > 0 ? weight * confidence / totalWeight : 0;
+      scoreBreakdown[signal] = { confidence, weight, contribution };
+      score += contribution;
+    }
+
+    const { signal, ...point } = representative;
+    return {
+      ...point,
+      confidence: score,
+      reason: [...new Set(group.map(candidate => candidate.reason))].join(' + '),
+      signals: Object.keys(signalConfidence),
+      scoreBreakdown
+    };
+  });
+
+  fused.sort((a, b) => b.confidence - a.confidence);
+
+  return fused.slice(0, maxResults);
+}
+
+/**
+ * Cluster candidates whose start and end times are both within the tolerance
+ */
+function groupCandidates(candidates, tolerance) {
+  const sorted = candidates.slice().sort((a, b) => b.confidence - a.confidence);
+  const groups = [];
+
+  for (const candidate of sorted) {
+    const group = groups.find(members =>
+      Math.abs(members[0].startTime - candidate.startTime) <= tolerance &&
+      Math.abs(members[0].endTime - candidate.endTime) <= tolerance
+    );
+    if (group) {
+      group.push(candidate);
+    } else {
+      groups.push([candidate]);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Confidence that both loop points fall inside silence
+ */
+function silenceSupport(silencePoints, startTime, endTime) {
+  if (!silencePoints) {
+    return 0;
+  }
+
+  const at = time => silencePoints.find(silence => time >= silence.start && time <= silence.end);
+  const startSilence = at(startTime);
+  const endSilence = at(endTime);
+
+  return startSilence && endSilence ? Math.min(startSilence.confidence, endSilence.confidence) : 0;
+}
+
+/**
+ * Parse per-signal weights from a request option (JSON object of signal name to weight)
+ */
+function parseFusionWeights(value) {
+  if (!value) {
+    return {};
+  }
+
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  const weights = {};
+
+  for (const [signal, weight] of Object.entries(parsed)) {
+    if (!(signal in DEFAULT_WEIGHTS)) {
+      throw new Error(`Unknown fusion signal: ${signal}`);
+    }
+    const number = parseFloat(weight);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`Invalid weight for fusion signal ${signal}: ${weight}`);
+    }
+    weights[signal] = number;
+  }
+
+  return weights;
+}
+
+module.exports = {
+  collectLoopCandidates,
+  fuseLoopCandidates,
+  parseFusionWeights
+};
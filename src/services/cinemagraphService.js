@@ -0,0 +1,214 @@
+/**
+ * Cinemagraph Service
+ * Freezes everything outside a mask to a reference frame while the masked area keeps looping
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const { probeMedia } = require('./mediaProbeService');
+
+/**
+ * Parse a cinemagraph mask option
+ *
+ * Accepts a rectangle { x, y, width, height }, a polygon { points: [[x, y], ...] }
+ * or a bare array of points, all as fractions (0-1) of the frame. JSON strings are
+ * parsed first. An uploaded PNG is passed as { imagePath } and its alpha is used.
+ */
+function parseMask(value, imagePath) {
+  if (imagePath) {
+    return { type: 'image', imagePath };
+  }
+
+  if (!value) {
+    return null;
+  }
+
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  const points = Array.isArray(parsed) ? parsed : parsed.points;
+
+  if (points) {
+    if (!Array.isArray(points) || points.length < 3) {
+      throw new Error('Polygon masks need at least three points');
+    }
+    return {
+      type: 'polygon',
+      points: points.map(point => {
+        const [x, y] = Array.isArray(point) ? point : [point.x, point.y];
+        return [validateFraction(x), validateFraction(y)];
+      })
+    };
+  }
+
+  const x = validateFraction(parsed.x);
+  const y = validateFraction(parsed.y);
+  const width = validateFraction(parsed.width);
+  const height = validateFraction(parsed.height);
+  return {
+    type: 'polygon',
+    points: [[x, y], [x + width, y], [x + width, y + height], [x, y + height]]
+  };
+}
+
+/**
+ * Render a cinemagraph from a seamless loop
+ */
+async function createCinemagraph(inputPath, outputPath, options) {
+  const mediaInfo = await probeMedia(inputPath);
+  if (!mediaInfo.video) {
+    throw new Error('Cinemagraphs require a video stream');
+  }
+
+  const { width, height } = mediaInfo.video;
+  const tempDir = './temp/cinemagraph';
+  fs.mkdirSync(tempDir, { recursive: true });
+  const baseName = path.basename(outputPath, path.extname(outputPath));
+
+  // The loop's first frame matches its last, so it is the natural still by default
+  const referenceTime = Math.min(options.referenceTime || 0, Math.max(0, mediaInfo.duration - 0.05));
+  const stillPath = path.join(tempDir, `still_${baseName}.png`);
+  await extractStill(inputPath, stillPath, referenceTime);
+
+  let maskPath = options.mask.imagePath;
+  if (options.mask.type === 'polygon') {
+    maskPath = path.join(tempDir, `mask_${baseName}.pgm`);
+    fs.writeFileSync(maskPath, rasterizePolygon(options.mask.points, width, height));
+  }
+
+  try {
+    await compositeCinemagraph(inputPath, stillPath, maskPath, outputPath, {
+      width,
+      height,
+      frameRate: mediaInfo.video.frameRate,
+      fromAlpha: options.mask.type === 'image',
+      feather: options.feather || 0,
+      hasAudio: Boolean(mediaInfo.audio)
+    });
+  } finally {
+    fs.rmSync(stillPath, { force: true });
+    if (maskPath !== options.mask.imagePath) {
+      fs.rmSync(maskPath, { force: true });
+    }
+  }
+
+  return outputPath;
+}
+
+/**
+ * Extract the reference frame the frozen area is taken from
+ */
+async function extractStill(inputPath, stillPath, time) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .setStartTime(time)
+      .outputOptions(['-frames:v 1'])
+      .output(stillPath)
+      .on('end', () => {
+        resolve();
+      })
+      .on('error', (err) => {
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * Overlay the still frame, cut out by the inverted mask, on top of the moving video
+ *
+ * The moving video is the overlay's base so the output keeps its frame rate and
+ * timing; the looped still and mask images are read at the same rate.
+ */
+async function compositeCinemagraph(inputPath, stillPath, maskPath, outputPath, settings) {
+  const { width, height } = settings;
+
+  const maskFilters = [];
+  if (settings.fromAlpha) {
+    maskFilters.push('format=rgba', 'alphaextract');
+  }
+  maskFilters.push(`scale=${width}:${height}`, 'format=gray');
+  if (settings.feather > 0) {
+    // Soften the mask edge so the frozen and moving areas blend
+    maskFilters.push(`gblur=sigma=${settings.feather}`);
+  }
+  // The mask marks the moving area; the still covers the rest
+  maskFilters.push('negate');
+
+  const filters = [
+    `[2:v]${maskFilters.join(',')}[mask]`,
+    `[1:v]scale=${width}:${height},format=yuva420p[still]`,
+    '[still][mask]alphamerge[frozen]',
+    '[0:v][frozen]overlay=shortest=1,format=yuv420p[v]'
+  ];
+
+  const outputs = ['-map [v]'];
+  if (settings.hasAudio) {
+    outputs.push('-map 0:a', '-c:a copy');
+  }
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .input(stillPath)
+      .inputOptions(['-loop 1', `-framerate ${settings.frameRate}`])
+      .input(maskPath)
+      .inputOptions(['-loop 1', `-framerate ${settings.frameRate}`])
+      .complexFilter(filters)
+      .outputOptions(outputs)
+      .output(outputPath)
+      .on('end', () => {
+        resolve();
+      })
+      .on('error', (err) => {
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * Rasterize a normalized polygon into a binary PGM image (white = moving)
+ */
+function rasterizePolygon(points, width, height) {
+  const header = Buffer.from(`P5\n${width} ${height}\n255\n`, 'ascii');
+  const pixels = Buffer.alloc(width * height);
+  const vertices = points.map(([x, y]) => [x * width, y * height]);
+
+  for (let row = 0; row < height; row++) {
+    const y = row + 0.5;
+
+    // Even-odd rule: fill between pairs of edge crossings on this scanline
+    const crossings = [];
+    for (let i = 0; i < vertices.length; i++) {
+      const [x1, y1] = vertices[i];
+      const [x2, y2] = vertices[(i + 1) % vertices.length];
+      if ((y1 <= y && y2 > y) || (y2 <= y && y1 > y)) {
+        crossings.push(x1 + (y - y1) / (y2 - y1) * (x2 - x1));
+      }
+    }
+    crossings.sort((a, b) => a - b);
+
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const from = Math.max(0, Math.ceil(crossings[i] - 0.5));
+      const to = Math.min(width, Math.floor(crossings[i + 1] - 0.5) + 1);
+      if (to > from) {
+        pixels.fill(255, row * width + from, row * width + to);
+      }
+    }
+  }
+
+  return Buffer.concat([header, pixels]);
+}
+
+function validateFraction(value) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number < 0 || number > 1) {
+    throw new Error(`Invalid mask coordinate ${value}: expected a fraction of the frame`);
+  }
+  return number;
+}
+
+module.exports = {
+  parseMask,
+  createCinemagraph,
+  rasterizePolygon
+};
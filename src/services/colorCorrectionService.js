@@ -0,0 +1,146 @@
+/**
+ * Color Correction Service
+ * Removes exposure and color drift across a loop so its last frame matches its first
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const { decodeFrames } = require('./frameDecodingService');
+const { probeMedia } = require('./mediaProbeService');
+
+// Number of frames averaged at each end of the loop
+const SAMPLE_FRAMES = 3;
+// Channel means (0-1) are kept inside this range so gammas stay finite
+const MIN_LEVEL = 0.02;
+const MAX_LEVEL = 0.98;
+// Drift (fraction of full range) below which no correction is applied
+const MIN_DRIFT = 0.005;
+// Gamma range accepted by ffmpeg's eq filter
+const MIN_GAMMA = 0.1;
+const MAX_GAMMA = 10;
+
+/**
+ * Measure per-channel color drift between the start and end of a clip
+ *
+ * Returns the mean red, green, blue and luma (0-1) of the first and last few
+ * frames and their difference (end minus start).
+ */
+async function measureColorDrift(inputPath, mediaInfo) {
+  const frameRate = mediaInfo.video.frameRate;
+  const duration = mediaInfo.video.duration || mediaInfo.duration;
+  const edgeDuration = Math.min(SAMPLE_FRAMES / frameRate, duration / 2);
+
+  const head = await decodeFrames(inputPath, { duration: edgeDuration });
+  const tail = await decodeFrames(inputPath, { startTime: Math.max(0, duration - edgeDuration) });
+  if (head.frames.length === 0 || tail.frames.length === 0) {
+    throw new Error('Could not decode frames to measure color drift');
+  }
+
+  const start = channelMeans(head.frames.slice(0, SAMPLE_FRAMES));
+  const end = channelMeans(tail.frames.slice(-SAMPLE_FRAMES));
+
+  return {
+    start,
+    end,
+    drift: {
+      r: end.r - start.r,
+      g: end.g - start.g,
+      b: end.b - start.b,
+      luma: end.luma - start.luma
+    }
+  };
+}
+
+/**
+ * Per-channel gammas that map the end's channel means onto the start's
+ *
+ * ffmpeg applies gamma as out = in^(1 / gamma).
+ */
+function computeCorrectionGammas(start, end) {
+  const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+  const gamma = channel => clamp(
+    Math.log(clamp(end[channel], MIN_LEVEL, MAX_LEVEL)) / Math.log(clamp(start[channel], MIN_LEVEL, MAX_LEVEL)),
+    MIN_GAMMA,
+    MAX_GAMMA
+  );
+
+  return { r: gamma('r'), g: gamma('g'), b: gamma('b') };
+}
+
+/**
+ * Ramp a color correction across the clip so its last frame matches its first
+ *
+ * The first frame is untouched and each later frame gets a growing share of
+ * the correction, so the drift is spread over the loop instead of popping at
+ * the seam. Returns null when the drift is too small to correct.
+ */
+async function correctColorDrift(inputPath, outputPath) {
+  const mediaInfo = await probeMedia(inputPath);
+  if (!mediaInfo.video) {
+    throw new Error('Color drift correction requires a video stream');
+  }
+
+  const measurement = await measureColorDrift(inputPath, mediaInfo);
+  const { drift } = measurement;
+  if (Math.max(Math.abs(drift.r), Math.abs(drift.g), Math.abs(drift.b)) < MIN_DRIFT) {
+    return null;
+  }
+
+  const gammas = computeCorrectionGammas(measurement.start, measurement.end);
+
+  // Full correction lands on the last frame, one frame before the wrap
+  const rampDuration = Math.max(
+    1 / mediaInfo.video.frameRate,
+    (mediaInfo.video.duration || mediaInfo.duration) - 1 / mediaInfo.video.frameRate
+  );
+  const ramp = value => `'pow(${value},min(1,t/${rampDuration}))'`;
+  const filter = `eq=eval=frame:gamma_r=${ramp(gammas.r)}:gamma_g=${ramp(gammas.g)}:gamma_b=${ramp(gammas.b)}`;
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+      .videoFilters([filter]);
+
+    if (mediaInfo.audio) {
+      command.outputOptions(['-c:a copy']);
+    }
+
+    command
+      .output(outputPath)
+      .on('end', () => {
+        resolve({ ...measurement, gammas });
+      })
+      .on('error', (err) => {
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * Mean red, green, blue and luma (0-1) over a set of RGB24 frames
+ */
+function channelMeans(frames) {
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let pixels = 0;
+
+  for (const rgb of frames) {
+    for (let p = 0; p < rgb.length; p += 3) {
+      r += rgb[p];
+      g += rgb[p + 1];
+      b += rgb[p + 2];
+    }
+    pixels += rgb.length / 3;
+  }
+
+  const means = { r: r / pixels / 255, g: g / pixels / 255, b: b / pixels / 255 };
+  means.luma = 0.299 * means.r + 0.587 * means.g + 0.114 * means.b;
+
+  return means;
+}
+
+module.exports = {
+  correctColorDrift,
+  measureColorDrift,
+  computeCorrectionGammas
+};
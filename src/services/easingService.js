@@ -0,0 +1,183 @@
+/**
+ * Easing Service
+ * Timing curves shared by video blends and audio crossfades
+ *
+ * Each curve maps fade progress (0-1) to the incoming side's gain; the
+ * outgoing side uses the mirrored curve, gain(1 - progress). Audio applies the
+ * gains directly, video normalizes them into a blend weight, so both follow
+ * the same timing.
+ */
+
+const EASING_CURVES = ['linear', 'equal-power', 'sine', 's-curve', 'logarithmic', 'bezier'];
+// Segments in the piecewise-linear ffmpeg expression approximating a bezier curve
+const BEZIER_EXPRESSION_SEGMENTS = 16;
+// Newton and bisection iterations used to invert a bezier's x(s)
+const BEZIER_ITERATIONS = 20;
+
+/**
+ * Parse an easing option: a curve name, "bezier(x1, y1, x2, y2)" or { curve, controlPoints }
+ */
+function parseEasing(value) {
+  if (value === undefined || value === null || value === '') {
+    return { curve: 'linear' };
+  }
+
+  let easing = value;
+  if (typeof value === 'string') {
+    const bezier = value.trim().match(/^(?:cubic-)?bezier\((.*)\)$/i);
+    easing = bezier
+      ? { curve: 'bezier', controlPoints: bezier[1].split(',').map(Number) }
+      : { curve: value.trim().toLowerCase() };
+  }
+
+  if (!EASING_CURVES.includes(easing.curve)) {
+    throw new Error(`Unknown easing curve: ${easing.curve}; expected one of ${EASING_CURVES.join(', ')}`);
+  }
+
+  if (easing.curve === 'bezier') {
+    const points = easing.controlPoints;
+    if (!Array.isArray(points) || points.length !== 4 || !points.every(Number.isFinite) ||
+        points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) {
+      throw new Error('Bezier easing needs four numbers x1, y1, x2, y2 with x1 and x2 between 0 and 1');
+    }
+    return { curve: 'bezier', controlPoints: points };
+  }
+
+  return { curve: easing.curve };
+}
+
+/**
+ * Gain function (progress 0-1 to gain 0-1) of the incoming side of a fade
+ */
+function createEasing(easing = { curve: 'linear' }) {
+  const clamp = t => Math.min(1, Math.max(0, t));
+
+  switch (easing.curve) {
+    case 'equal-power':
+      return t => Math.sin(clamp(t) * Math.PI / 2);
+    case 'sine':
+      return t => (1 - Math.cos(Math.PI * clamp(t))) / 2;
+    case 's-curve':
+      return t => clamp(t) * clamp(t) * (3 - 2 * clamp(t));
+    case 'logarithmic':
+      return t => Math.log10(1 + 9 * clamp(t));
+    case 'bezier':
+      return t => cubicBezier(easing.controlPoints, clamp(t));
+    default:
+      return t => clamp(t);
+  }
+}
+
+/**
+ * Incoming and outgoing gains at a point in a fade
+ */
+function fadeGains(easing, progress) {
+  const gain = createEasing(easing);
+  return { in: gain(progress), out: gain(1 - progress) };
+}
+
+/**
+ * Weight (0-1) of the incoming frame when blending video at a point in a fade
+ *
+ * The two gains are normalized so the blend never brightens or darkens the
+ * picture, e.g. under an equal-power curve.
+ */
+function videoBlendWeight(easing, progress) {
+  const gains = fadeGains(easing, progress);
+  const total = gains.in + gains.out;
+  return total > 0 ? gains.in / total : progress;
+}
+
+/**
+ * ffmpeg expression for the incoming gain, given an expression for progress (0-1)
+ */
+function easingExpression(easing, progress) {
+  const x = `clip(${progress},0,1)`;
+
+  switch (easing.curve) {
+    case 'equal-power':
+      return `sin(${x}*PI/2)`;
+    case 'sine':
+      return `(1-cos(PI*${x}))/2`;
+    case 's-curve':
+      return `(${x})*(${x})*(3-2*(${x}))`;
+    case 'logarithmic':
+      return `log(1+9*${x})/log(10)`;
+    case 'bezier':
+      return piecewiseExpression(createEasing(easing), x);
+    default:
+      return x;
+  }
+}
+
+/**
+ * ffmpeg expression for the incoming video blend weight, matching videoBlendWeight
+ */
+function videoBlendExpression(easing, progress) {
+  if (easing.curve === 'linear') {
+    return `clip(${progress},0,1)`;
+  }
+
+  const incoming = easingExpression(easing, progress);
+  const outgoing = easingExpression(easing, `1-(${progress})`);
+  return `(${incoming})/max((${incoming})+(${outgoing}),0.000001)`;
+}
+
+/**
+ * Piecewise-linear ffmpeg expression sampling a gain function, for curves with no closed form
+ */
+function piecewiseExpression(gain, x) {
+  const segments = BEZIER_EXPRESSION_SEGMENTS;
+  let expression = gain(1).toFixed(6);
+
+  for (let i = segments - 1; i >= 0; i--) {
+    const x0 = i / segments;
+    const y0 = gain(x0);
+    const slope = (gain((i + 1) / segments) - y0) * segments;
+    expression = `if(lt(${x},${(x0 + 1 / segments).toFixed(6)}),` +
+      `${y0.toFixed(6)}+(${x}-${x0.toFixed(6)})*${slope.toFixed(6)},${expression})`;
+  }
+
+  return expression;
+}
+
+/**
+ * CSS-style cubic bezier easing from (0,0) to (1,1) through control points (x1,y1) and (x2,y2)
+ */
+function cubicBezier([x1, y1, x2, y2], t) {
+  const coordinate = (s, p1, p2) => 3 * (1 - s) * (1 - s) * s * p1 + 3 * (1 - s) * s * s * p2 + s * s * s;
+  const slope = (s, p1, p2) => 3 * (1 - s) * (1 - s) * p1 + 6 * (1 - s) * s * (p2 - p1) + 3 * s * s * (1 - p2);
+
+  // Find s with x(s) = t: Newton's method, falling back to bisection where the slope vanishes
+  let s = t;
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < BEZIER_ITERATIONS; i++) {
+    const error = coordinate(s, x1, x2) - t;
+    if (Math.abs(error) < 1e-7) {
+      break;
+    }
+    if (error > 0) {
+      high = s;
+    } else {
+      low = s;
+    }
+    const derivative = slope(s, x1, x2);
+    s = Math.abs(derivative) > 1e-6 ? s - error / derivative : (low + high) / 2;
+    if (s <= low || s >= high) {
+      s = (low + high) / 2;
+    }
+  }
+
+  return coordinate(s, y1, y2);
+}
+
+module.exports = {
+  EASING_CURVES,
+  parseEasing,
+  createEasing,
+  fadeGains,
+  videoBlendWeight,
+  easingExpression,
+  videoBlendExpression
+};
@@ -3,25 +3,85 @@
  * Analyzes video frames to detect potential loop points
  */
 
-const ffmpeg = require('fluent-ffmpeg');
-const fs = require('fs');
-const path = require('path');
+const { decodeFrames, ANALYSIS_WIDTH, ANALYSIS_HEIGHT } = require('./frameDecodingService');
+const {
+  toLuma,
+  computeColorHistogram,
+  computeLumaHistogram,
+  computeEdgeDensity,
+  computeFrameDifference,
+  histogramDistance,
+  colorHistogramDistance
+} = require('./frameFeatureService');
+const { estimateMotionField, motionActivityFromField } = require('./opticalFlowService');
+const { estimateCameraModel, classifyCameraMotion } = require('./cameraMotionService');
+const { detectSceneChanges, findCutsWithin } = require('./sceneDetectionService');
+
+// Confidence multiplier for loops whose start and end sit in different camera-motion states
+const CAMERA_MOTION_MISMATCH_PENALTY = 0.7;
+// Confidence of the ping-pong fallback offered when no frames match
+const PINGPONG_CONFIDENCE = 0.5;
+// Frames per second analyzed unless a request asks for another rate
+const DEFAULT_SAMPLE_RATE = 1;
+// Motion level above which a frame counts as moving
+const DEFAULT_MOTION_THRESHOLD = 0.1;
+
+/**
+ * Parse the frameSampleRate and motionThreshold request options
+ *
+ * The sample rate is interpolated into the decoding filter graph, so anything
+ * but a positive number is rejected.
+ */
+function parseFrameAnalysisOptions(options) {
+  return {
+    sampleRate: parsePositiveOption('frameSampleRate', options.frameSampleRate, DEFAULT_SAMPLE_RATE),
+    motionThreshold: parsePositiveOption('motionThreshold', options.motionThreshold, DEFAULT_MOTION_THRESHOLD)
+  };
+}
+
+/**
+ * Parse a positive number request option, using the default when it is missing
+ */
+function parsePositiveOption(name, value, defaultValue) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`Invalid ${name}: expected a positive number`);
+  }
+
+  return number;
+}
 
 /**
  * Analyze video frames to identify potential loop points
+ *
+ * Frames are streamed from ffmpeg through the feature extractors and only
+ * their compact metrics are kept, so memory grows linearly with duration.
  */
 async function analyzeFrames(mediaPath, options) {
   try {
-    // Extract frames for analysis
-    const framesDir = await extractFrames(mediaPath, options.sampleRate);
+    const collector = createFrameMetricsCollector(ANALYSIS_WIDTH, ANALYSIS_HEIGHT, options.sampleRate);
     
-    // Analyze extracted frames
-    const frameData = await processFrames(framesDir, options);
+    // Decode sampled frames for analysis
+    await decodeFrames(mediaPath, {
+      sampleRate: options.sampleRate,
+      filters: options.regionFilters,
+      width: ANALYSIS_WIDTH,
+      height: ANALYSIS_HEIGHT,
+      onFrame: (rgb, index) => collector.addFrame(rgb, index)
+    });
     
-    // Clean up extracted frames
-    fs.rmSync(framesDir, { recursive: true, force: true });
+    // Detect hard cuts at the full frame rate
+    const sceneChanges = await detectSceneChanges(mediaPath, {
+      threshold: options.sceneChangeThreshold,
+      filters: options.regionFilters
+    });
     
-    return frameData;
+    // Analyze the collected metrics
+    return processFrames(collector, sceneChanges, options);
   } catch (error) {
     console.error('Error in frame analysis:', error);
     throw error;
@@ -29,82 +89,83 @@ async function analyzeFrames(mediaPath, options) {
 }
 
 /**
- * Extract frames from video for analysis
- */
-async function extractFrames(mediaPath, sampleRate) {
-  return new Promise((resolve, reject) => {
-    // Create temporary directory for frames
-    const framesDir = path.join('./temp', `frames_${Date.now()}`);
-    fs.mkdirSync(framesDir, { recursive: true });
-    
-    // Use ffmpeg to extract frames
-    ffmpeg(mediaPath)
-      .outputOptions([
-        `-vf fps=${sampleRate}`, // Extract frames at specified rate
-        '-q:v 1' // High quality JPEGs
-      ])
-      .output(path.join(framesDir, 'frame-%04d.jpg'))
-      .on('end', () => {
-        resolve(framesDir);
-      })
-      .on('error', (err) => {
-        reject(err);
-      })
-      .run();
-  });
-}
-
-/**
- * Process extracted frames to detect scene changes and motion
+ * Create a collector that turns decoded frames into compact per-frame metrics
+ *
+ * Only the previous frame's luma plane is held on to, for motion estimation.
  */
-async function processFrames(framesDir, options) {
-  // Get list of frame files
-  const frameFiles = fs.readdirSync(framesDir)
-    .filter(file => file.startsWith('frame-') && file.endsWith('.jpg'))
-    .sort();
-  
-  if (frameFiles.length === 0) {
-    throw new Error('No frames extracted for analysis');
-  }
-  
-  // Analyze frames for scene changes and motion
+function createFrameMetricsCollector(width, height, sampleRate) {
   const frameMetrics = [];
-  const sceneChanges = [];
   const motionActivity = [];
+  let previousLuma = null;
   
-  // In a real implementation, this would use computer vision techniques
-  // For simplicity, we're using a placeholder implementation
-  for (let i = 0; i < frameFiles.length; i++) {
-    const frameTime = i / options.sampleRate;
-    
-    // Simulated metrics for illustration
-    const metrics = {
-      time: frameTime,
-      histogram: simulateHistogram(),
-      edges: simulateEdgeDetection(),
-      motion: i > 0 ? simulateMotionDetection(i) : 0
-    };
-    
-    frameMetrics.push(metrics);
-    
-    // Detect scene changes by comparing with previous frame
-    if (i > 0) {
-      const diff = compareFrames(frameMetrics[i-1], metrics);
-      if (diff > options.sceneChangeThreshold) {
-        sceneChanges.push({
+  return {
+    width,
+    height,
+    frameMetrics,
+    motionActivity,
+    addFrame(rgb, index) {
+      const frameTime = index / sampleRate;
+      const luma = toLuma(rgb, width, height);
+      
+      // Block-matching flow against the previous sample drives motion metrics
+      const motionField = previousLuma
+        ? estimateMotionField(previousLuma, luma, width, height)
+        : null;
+      const histogram = computeColorHistogram(rgb);
+      
+      const metrics = {
+        time: frameTime,
+        histogram: {
+          r: Float32Array.from(histogram.r),
+          g: Float32Array.from(histogram.g),
+          b: Float32Array.from(histogram.b)
+        },
+        lumaHistogram: Float32Array.from(computeLumaHistogram(luma)),
+        edges: computeEdgeDensity(luma, width, height),
+        difference: previousLuma ? computeFrameDifference(previousLuma, luma) : 0,
+        motion: motionField ? motionActivityFromField(motionField) : 0,
+        motionVector: motionField ? motionField.globalMotion : { dx: 0, dy: 0, magnitude: 0 },
+        motionScale: motionField ? motionField.maxDisplacement : 1,
+        cameraModel: motionField ? estimateCameraModel(motionField) : { dx: 0, dy: 0, zoom: 0 }
+      };
+      
+      frameMetrics.push(metrics);
+      previousLuma = luma;
+      
+      if (index > 0) {
+        // Record motion activity
+        motionActivity.push({
           time: frameTime,
-          confidence: Math.min(1.0, diff / options.sceneChangeThreshold)
+          value: metrics.motion,
+          globalMotion: metrics.motionVector
         });
       }
-      
-      // Record motion activity
-      motionActivity.push({
-        time: frameTime,
-        value: metrics.motion
-      });
     }
+  };
+}
+
+/**
+ * Classify camera motion and find loop points from collected frame metrics
+ */
+function processFrames(collector, sceneChanges, options) {
+  const { width, height, frameMetrics, motionActivity } = collector;
+  
+  if (frameMetrics.length === 0) {
+    throw new Error('No frames extracted for analysis');
   }
   
+  // Classify camera movement over time and tag each frame with its state
+  const frameRadius = Math.sqrt(width * width + height * height) / 2;
+  const cameraMotion = classifyCameraMotion(frameMetrics.map(metrics => ({
+    time: metrics.time,
+    model: metrics.cameraModel,
+    scale: metrics.motionScale,
+    radius: frameRadius
+  })));
+  cameraMotion.labels.forEach((label, i) => {
+    frameMetrics[i].cameraMotion = label;
+  });
+  
   // Identify potential loop points
   const potentialLoopPoints = findPotentialLoopPoints(
     frameMetrics,
@@ -114,10 +175,11 @@ async function processFrames(framesDir, options) {
   );
   
   return {
-    frameCount: frameFiles.length,
-    duration: frameFiles.length / options.sampleRate,
+    frameCount: frameMetrics.length,
+    duration: frameMetrics.length / options.sampleRate,
     sceneChanges,
     motionActivity,
+    cameraMotion: cameraMotion.timeline,
     potentialLoopPoints
   };
 }
@@ -126,12 +188,12 @@ async function processFrames(framesDir, options) {
  * Compare two frames to detect changes
  */
 function compareFrames(frame1, frame2) {
-  // In a real implementation, this would use histogram comparison,
-  // edge detection, and other computer vision techniques
-  
-  // For this placeholder, we're using a simulated difference
-  const histogramDiff = Math.random() * 0.3; // Simulate histogram difference
-  const edgeDiff = Math.random() * 0.3; // Simulate edge difference
+  // Histogram difference combines color and luma distributions
+  const histogramDiff = (
+    colorHistogramDistance(frame1.histogram, frame2.histogram) +
+    histogramDistance(frame1.lumaHistogram, frame2.lumaHistogram)
+  ) / 2;
+  const edgeDiff = Math.abs(frame2.edges - frame1.edges); // Edge density difference
   const motionDiff = Math.abs(frame2.motion - frame1.motion); // Motion difference
   
   // Combined difference score
@@ -149,7 +211,9 @@ function findPotentialLoopPoints(frameMetrics, sceneChanges, motionActivity, opt
   // Maximum loop duration in seconds
   const maxLoopDuration = 10.0;
   
-  // Look for pairs of similar frames with low motion
+  // Look for pairs of similar frames with low motion. The search is banded by
+  // the maximum loop duration and keeps only the best match per start frame, so
+  // both time and the number of candidates grow linearly with duration.
   for (let i = 0; i < frameMetrics.length; i++) {
     const frame1 = frameMetrics[i];
     
@@ -159,6 +223,7 @@ function findPotentialLoopPoints(frameMetrics, sceneChanges, motionActivity, opt
     }
     
     // Look for matching frames later in the sequence
+    let bestMatch = null;
     for (let j = i + Math.floor(minLoopDuration * options.sampleRate);
          j < frameMetrics.length && (frameMetrics[j].time - frame1.time) <= maxLoopDuration;
          j++) {
@@ -170,19 +235,35 @@ function findPotentialLoopPoints(frameMetrics, sceneChanges, motionActivity, opt
         continue;
       }
       
+      // Skip pairs whose global motion direction would jump at the seam
+      if (motionVectorDistance(frame1, frame2) > options.motionThreshold * 2) {
+        continue;
+      }
+      
+      // Skip loops that would play across a hard cut unless explicitly allowed
+      if (!options.allowSceneCuts && findCutsWithin(sceneChanges, frame1.time, frame2.time).length > 0) {
+        continue;
+      }
+      
       // Compare frames for similarity
       const similarity = 1 - compareFrames(frame1, frame2);
       
       // If frames are similar enough, consider them as loop points
-      if (similarity > 0.8) {
-        potentialPoints.push({
+      const confidence = similarity * cameraMotionFactor(frame1.cameraMotion, frame2.cameraMotion);
+      if (similarity > 0.8 && (!bestMatch || confidence > bestMatch.confidence)) {
+        bestMatch = {
           startTime: frame1.time,
           endTime: frame2.time,
-          confidence: similarity,
+          confidence,
+          cameraMotion: { start: frame1.cameraMotion, end: frame2.cameraMotion },
           reason: 'Visual similarity'
-        });
+        };
       }
     }
+    
+    if (bestMatch) {
+      potentialPoints.push(bestMatch);
+    }
   }
   
   // Also consider scene changes as potential loop points
@@ -190,46 +271,106 @@ function findPotentialLoopPoints(frameMetrics, sceneChanges, motionActivity, opt
     for (let j = i + 1; j < sceneChanges.length; j++) {
       const duration = sceneChanges[j].time - sceneChanges[i].time;
       
+      // Only neighbouring cuts bound a single shot
+      if (!options.allowSceneCuts && j > i + 1) {
+        break;
+      }
+      
       if (duration >= minLoopDuration && duration <= maxLoopDuration) {
+        const startMotion = cameraMotionAt(frameMetrics, sceneChanges[i].time, options.sampleRate);
+        const endMotion = cameraMotionAt(frameMetrics, sceneChanges[j].time, options.sampleRate);
+        
         potentialPoints.push({
           startTime: sceneChanges[i].time,
           endTime: sceneChanges[j].time,
-          confidence: Math.min(sceneChanges[i].confidence, sceneChanges[j].confidence) * 0.9,
+          confidence: Math.min(sceneChanges[i].confidence, sceneChanges[j].confidence) * 0.9 *
+            cameraMotionFactor(startMotion, endMotion),
+          cameraMotion: { start: startMotion, end: endMotion },
           reason: 'Scene transition'
         });
       }
     }
   }
   
+  // Without matching frames, only forward-then-reverse playback loops seamlessly
+  if (!potentialPoints.some(point => point.reason === 'Visual similarity')) {
+    const pingPong = findPingPongSegment(frameMetrics, sceneChanges, minLoopDuration / 2, maxLoopDuration / 2);
+    if (pingPong) {
+      potentialPoints.push({
+        ...pingPong,
+        confidence: PINGPONG_CONFIDENCE,
+        reason: 'Ping-pong (no matching frames)',
+        transitionType: 'pingpong'
+      });
+    }
+  }
+  
   // Sort by confidence
   potentialPoints.sort((a, b) => b.confidence - a.confidence);
   
   return potentialPoints;
 }
 
-// Simulation helper functions
-function simulateHistogram() {
-  // Simulate RGB histogram data
+/**
+ * Pick a segment within the longest shot for a ping-pong loop
+ *
+ * The loop plays the segment twice (forwards and backwards), so the duration
+ * limits are for the segment itself.
+ */
+function findPingPongSegment(frameMetrics, sceneChanges, minDuration, maxDuration) {
+  const boundaries = [
+    frameMetrics[0].time,
+    ...sceneChanges.map(change => change.time),
+    frameMetrics[frameMetrics.length - 1].time
+  ];
+  
+  let longest = null;
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const length = boundaries[i + 1] - boundaries[i];
+    if (!longest || length > longest.length) {
+      longest = { startTime: boundaries[i], length };
+    }
+  }
+  
+  if (!longest || longest.length < minDuration) {
+    return null;
+  }
+  
   return {
-    r: Array.from({length: 16}, () => Math.floor(Math.random() * 100)),
-    g: Array.from({length: 16}, () => Math.floor(Math.random() * 100)),
-    b: Array.from({length: 16}, () => Math.floor(Math.random() * 100))
+    startTime: longest.startTime,
+    endTime: longest.startTime + Math.min(longest.length, maxDuration)
   };
 }
 
-function simulateEdgeDetection() {
-  // Simulate edge detection data
-  return Math.random() * 100;
+/**
+ * Confidence multiplier penalizing loops that start and end in different camera-motion states
+ */
+function cameraMotionFactor(startMotion, endMotion) {
+  return startMotion === endMotion ? 1 : CAMERA_MOTION_MISMATCH_PENALTY;
+}
+
+/**
+ * Camera-motion state of the analyzed frame closest to a point in time
+ */
+function cameraMotionAt(frameMetrics, time, sampleRate) {
+  // Frames are sampled at a fixed rate, so the closest one is found by index
+  const index = Math.min(frameMetrics.length - 1, Math.max(0, Math.round(time * sampleRate)));
+  
+  return frameMetrics[index].cameraMotion;
 }
 
-function simulateMotionDetection(frameIndex) {
-  // Simulate motion detection with some temporal correlation
-  // Create a sine wave pattern with some noise to simulate motion
-  const baseMotion = Math.sin(frameIndex * 0.1) * 0.5 + 0.5; // 0 to 1 range
-  const noise = (Math.random() - 0.5) * 0.3;
-  return Math.max(0, Math.min(1, baseMotion + noise));
+/**
+ * Normalized distance between the global motion vectors of two frames
+ */
+function motionVectorDistance(frame1, frame2) {
+  const dx = frame2.motionVector.dx - frame1.motionVector.dx;
+  const dy = frame2.motionVector.dy - frame1.motionVector.dy;
+  const scale = Math.max(frame1.motionScale, frame2.motionScale);
+  
+  return Math.min(1, Math.sqrt(dx * dx + dy * dy) / scale);
 }
 
 module.exports = {
+  parseFrameAnalysisOptions,
   analyzeFrames
 };
@@ -6,11 +6,15 @@
 const ffmpeg = require('fluent-ffmpeg');
 const fs = require('fs');
 const path = require('path');
+const { probeMedia } = require('./mediaProbeService');
+const { videoBlendWeight } = require('./easingService');
 
 /**
  * Blend frames at loop boundaries for smoother transition
+ *
+ * options.easing (from easingService.parseEasing) sets the blend's timing curve.
  */
-async function blendFrames(inputPath, outputPath, blendFrameCount) {
+async function blendFrames(inputPath, outputPath, blendFrameCount, options = {}) {
   try {
     // Get video information
     const videoInfo = await getVideoInfo(inputPath);
@@ -51,7 +55,8 @@ async function blendFrames(inputPath, outputPath, blendFrameCount) {
       startFramesDir,
       endFramesDir,
       blendedFramesDir,
-      blendFrameCount
+      blendFrameCount,
+      options.easing
     );
     
     // Create intermediate video segments
@@ -93,28 +98,22 @@ async function blendFrames(inputPath, outputPath, blendFrameCount) {
  * Get video information using ffprobe
  */
 async function getVideoInfo(videoPath) {
-  return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(videoPath, (err, metadata) => {
-      if (err) return reject(err);
-      
-      const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-      if (!videoStream) {
-        return reject(new Error('No video stream found'));
-      }
-      
-      const frameRate = eval(videoStream.r_frame_rate);
-      const duration = videoStream.duration || metadata.format.duration;
-      const frameCount = Math.floor(duration * frameRate);
-      
-      resolve({
-        duration,
-        frameRate,
-        frameCount,
-        width: videoStream.width,
-        height: videoStream.height
-      });
-    });
-  });
+  const mediaInfo = await probeMedia(videoPath);
+  if (!mediaInfo.video) {
+    throw new Error('No video stream found');
+  }
+  
+  const frameRate = mediaInfo.video.frameRate;
+  const duration = mediaInfo.video.duration;
+  const frameCount = Math.floor(duration * frameRate);
+  
+  return {
+    duration,
+    frameRate,
+    frameCount,
+    width: mediaInfo.video.width,
+    height: mediaInfo.video.height
+  };
 }
 
 /**
@@ -143,7 +142,7 @@ async function extractFrames(videoPath, outputDir, startTime, duration) {
 /**
  * Create blended frames from start and end frames
  */
-async function createBlendedFrames(startFramesDir, endFramesDir, blendedFramesDir, frameCount) {
+async function createBlendedFrames(startFramesDir, endFramesDir, blendedFramesDir, frameCount, easing) {
   // Get list of frames
   const startFrames = fs.readdirSync(startFramesDir)
     .filter(f => f.startsWith('frame-') && f.endsWith('.png'))
@@ -162,7 +161,7 @@ async function createBlendedFrames(startFramesDir, endFramesDir, blendedFramesDi
   const blendPromises = [];
   
   for (let i = 0; i < frameCount; i++) {
-    const alpha = i / (frameCount - 1); // Blend factor from 0 to 1
+    const alpha = videoBlendWeight(easing, i / (frameCount - 1)); // Blend factor from 0 to 1
     const startFrame = path.join(startFramesDir, startFrames[i]);
     const endFrame = path.join(endFramesDir, endFrames[endFrames.length - frameCount + i]);
     const outputFrame = path.join(blendedFramesDir, `frame-${String(i+1).padStart(4, '0')}.png`);
@@ -0,0 +1,98 @@
+/**
+ * Frame Decoding Service
+ * Decodes video frames into raw RGB pixel buffers using ffmpeg
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+
+// Resolution frames are scaled to for analysis
+const ANALYSIS_WIDTH = 160;
+const ANALYSIS_HEIGHT = 90;
+
+/**
+ * Decode video frames as raw RGB24 buffers
+ *
+ * With options.onFrame(rgb, index) each frame is handed over as it is decoded
+ * and not kept, so memory stays constant however long the media is; the result
+ * then has a frameCount instead of frames.
+ */
+async function decodeFrames(mediaPath, options = {}) {
+  const width = options.width || ANALYSIS_WIDTH;
+  const height = options.height || ANALYSIS_HEIGHT;
+  const frameSize = width * height * 3;
+
+  const filters = [];
+  if (options.sampleRate) {
+    // Interpolated into the filter graph, so only plain numbers get through
+    if (typeof options.sampleRate !== 'number' || !Number.isFinite(options.sampleRate) || options.sampleRate <= 0) {
+      throw new Error(`Invalid frame sample rate: ${options.sampleRate}`);
+    }
+    filters.push(`fps=${options.sampleRate}`);
+  }
+  if (options.filters) {
+    // Extra filters (e.g. region of interest) run before scaling
+    filters.push(...options.filters);
+  }
+  filters.push(`scale=${width}:${height}`);
+
+  return new Promise((resolve, reject) => {
+    const frames = [];
+    let frameCount = 0;
+    let failed = false;
+    let pending = Buffer.alloc(0);
+
+    const command = ffmpeg(mediaPath);
+
+    if (options.startTime) {
+      command.setStartTime(options.startTime);
+    }
+
+    if (options.duration) {
+      command.setDuration(options.duration);
+    }
+
+    command
+      .noAudio()
+      .videoFilters(filters)
+      .outputOptions(['-pix_fmt rgb24'])
+      .format('rawvideo')
+      .on('error', (err) => {
+        reject(err);
+      });
+
+    // Split the raw output stream into fixed-size frames
+    const stream = command.pipe();
+    stream.on('data', (chunk) => {
+      if (failed) {
+        return;
+      }
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length >= frameSize) {
+        const frame = Buffer.from(pending.subarray(0, frameSize));
+        pending = pending.subarray(frameSize);
+        if (options.onFrame) {
+          try {
+            options.onFrame(frame, frameCount);
+          } catch (err) {
+            failed = true;
+            command.kill();
+            reject(err);
+            return;
+          }
+        } else {
+          frames.push(frame);
+        }
+        frameCount++;
+      }
+    });
+    stream.on('end', () => {
+      resolve(options.onFrame ? { width, height, frameCount } : { width, height, frames });
+    });
+  });
+}
+
+module.exports = {
+  decodeFrames,
+  ANALYSIS_WIDTH,
+  ANALYSIS_HEIGHT
+};
@@ -0,0 +1,314 @@
+/**
+ * Frame Feature Service
+ * Computes pixel-based descriptors (histograms, edges, differences) from decoded frames
+ */
+
+// Threshold on Sobel gradient magnitude for a pixel to count as an edge
+const EDGE_THRESHOLD = 64;
+// Size of the luma thumbnail kept as a frame descriptor
+const THUMBNAIL_SIZE = 16;
+// Size of the DCT input and retained low-frequency block for perceptual hashing
+const HASH_DCT_SIZE = 32;
+const HASH_BLOCK_SIZE = 8;
+// Window size and stabilizing constants for SSIM on 8-bit luma
+const SSIM_WINDOW = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+/**
+ * Convert an RGB24 buffer to 8-bit luma (BT.601 weights)
+ */
+function toLuma(rgb, width, height) {
+  const luma = new Uint8Array(width * height);
+
+  for (let i = 0, p = 0; i < luma.length; i++, p += 3) {
+    luma[i] = Math.round(0.299 * rgb[p] + 0.587 * rgb[p + 1] + 0.114 * rgb[p + 2]);
+  }
+
+  return luma;
+}
+
+/**
+ * Compute a normalized per-channel color histogram
+ */
+function computeColorHistogram(rgb, bins = 16) {
+  const r = new Array(bins).fill(0);
+  const g = new Array(bins).fill(0);
+  const b = new Array(bins).fill(0);
+  const binSize = 256 / bins;
+  const pixelCount = rgb.length / 3;
+
+  for (let p = 0; p < rgb.length; p += 3) {
+    r[Math.floor(rgb[p] / binSize)]++;
+    g[Math.floor(rgb[p + 1] / binSize)]++;
+    b[Math.floor(rgb[p + 2] / binSize)]++;
+  }
+
+  return {
+    r: r.map(count => count / pixelCount),
+    g: g.map(count => count / pixelCount),
+    b: b.map(count => count / pixelCount)
+  };
+}
+
+/**
+ * Compute a normalized luma histogram
+ */
+function computeLumaHistogram(luma, bins = 16) {
+  const histogram = new Array(bins).fill(0);
+  const binSize = 256 / bins;
+
+  for (let i = 0; i < luma.length; i++) {
+    histogram[Math.floor(luma[i] / binSize)]++;
+  }
+
+  return histogram.map(count => count / luma.length);
+}
+
+/**
+ * Compute edge density (fraction of pixels on a Sobel edge)
+ */
+function computeEdgeDensity(luma, width, height, threshold = EDGE_THRESHOLD) {
+  if (width < 3 || height < 3) {
+    return 0;
+  }
+
+  let edgePixels = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+
+      const gx = (luma[i - width + 1] + 2 * luma[i + 1] + luma[i + width + 1]) -
+                 (luma[i - width - 1] + 2 * luma[i - 1] + luma[i + width - 1]);
+      const gy = (luma[i + width - 1] + 2 * luma[i + width] + luma[i + width + 1]) -
+                 (luma[i - width - 1] + 2 * luma[i - width] + luma[i - width + 1]);
+
+      if (Math.sqrt(gx * gx + gy * gy) > threshold) {
+        edgePixels++;
+      }
+    }
+  }
+
+  return edgePixels / ((width - 2) * (height - 2));
+}
+
+/**
+ * Compute mean absolute luma difference between two frames (0-1)
+ */
+function computeFrameDifference(lumaA, lumaB) {
+  let total = 0;
+
+  for (let i = 0; i < lumaA.length; i++) {
+    total += Math.abs(lumaA[i] - lumaB[i]);
+  }
+
+  return total / (lumaA.length * 255);
+}
+
+/**
+ * Distance between two normalized histograms (0 = identical, 1 = disjoint)
+ */
+function histogramDistance(histA, histB) {
+  let total = 0;
+
+  for (let i = 0; i < histA.length; i++) {
+    total += Math.abs(histA[i] - histB[i]);
+  }
+
+  return total / 2;
+}
+
+/**
+ * Distance between two color histograms, averaged over channels
+ */
+function colorHistogramDistance(histA, histB) {
+  return (
+    histogramDistance(histA.r, histB.r) +
+    histogramDistance(histA.g, histB.g) +
+    histogramDistance(histA.b, histB.b)
+  ) / 3;
+}
+
+/**
+ * Downscale a luma plane with box filtering
+ */
+function downscaleLuma(luma, width, height, targetWidth, targetHeight) {
+  const output = new Float32Array(targetWidth * targetHeight);
+
+  for (let ty = 0; ty < targetHeight; ty++) {
+    const y0 = Math.floor(ty * height / targetHeight);
+    const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * height / targetHeight));
+
+    for (let tx = 0; tx < targetWidth; tx++) {
+      const x0 = Math.floor(tx * width / targetWidth);
+      const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * width / targetWidth));
+
+      let total = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          total += luma[y * width + x];
+        }
+      }
+
+      output[ty * targetWidth + tx] = total / ((y1 - y0) * (x1 - x0));
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Compute a 64-bit DCT perceptual hash as an array of bits
+ */
+function computePerceptualHash(luma, width, height) {
+  const n = HASH_DCT_SIZE;
+  const pixels = downscaleLuma(luma, width, height, n, n);
+
+  // Low-frequency 2D DCT coefficients
+  const coefficients = [];
+  for (let u = 0; u < HASH_BLOCK_SIZE; u++) {
+    for (let v = 0; v < HASH_BLOCK_SIZE; v++) {
+      let sum = 0;
+      for (let y = 0; y < n; y++) {
+        const cy = Math.cos(((2 * y + 1) * u * Math.PI) / (2 * n));
+        for (let x = 0; x < n; x++) {
+          sum += pixels[y * n + x] * cy * Math.cos(((2 * x + 1) * v * Math.PI) / (2 * n));
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // Threshold against the median, ignoring the DC term
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+
+  return Uint8Array.from(coefficients, value => (value > median ? 1 : 0));
+}
+
+/**
+ * Number of differing bits between two perceptual hashes
+ */
+function hammingDistance(hashA, hashB) {
+  let distance = 0;
+
+  for (let i = 0; i < hashA.length; i++) {
+    if (hashA[i] !== hashB[i]) {
+      distance++;
+    }
+  }
+
+  return distance;
+}
+
+/**
+ * Compute the compact descriptor used for frame similarity
+ */
+function computeFrameDescriptor(rgb, width, height) {
+  const luma = toLuma(rgb, width, height);
+
+  return {
+    hash: computePerceptualHash(luma, width, height),
+    thumbnail: downscaleLuma(luma, width, height, THUMBNAIL_SIZE, THUMBNAIL_SIZE),
+    histogram: computeColorHistogram(rgb)
+  };
+}
+
+/**
+ * Compare two frame descriptors, returning per-feature and combined similarity (0-1)
+ */
+function compareDescriptors(descriptorA, descriptorB) {
+  const hash = 1 - hammingDistance(descriptorA.hash, descriptorB.hash) / descriptorA.hash.length;
+
+  let lumaDiff = 0;
+  for (let i = 0; i < descriptorA.thumbnail.length; i++) {
+    lumaDiff += Math.abs(descriptorA.thumbnail[i] - descriptorB.thumbnail[i]);
+  }
+  const luma = 1 - lumaDiff / (descriptorA.thumbnail.length * 255);
+
+  const color = 1 - colorHistogramDistance(descriptorA.histogram, descriptorB.histogram);
+
+  return {
+    hash,
+    luma,
+    color,
+    overall: hash * 0.4 + luma * 0.35 + color * 0.25
+  };
+}
+
+/**
+ * Mean structural similarity (SSIM) between two luma frames over 8x8 windows
+ */
+function computeSsim(lumaA, lumaB, width, height) {
+  let total = 0;
+  let windows = 0;
+
+  for (let y = 0; y + SSIM_WINDOW <= height; y += SSIM_WINDOW) {
+    for (let x = 0; x + SSIM_WINDOW <= width; x += SSIM_WINDOW) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+
+      for (let wy = 0; wy < SSIM_WINDOW; wy++) {
+        for (let wx = 0; wx < SSIM_WINDOW; wx++) {
+          const i = (y + wy) * width + x + wx;
+          const a = lumaA[i];
+          const b = lumaB[i];
+          sumA += a;
+          sumB += b;
+          sumAA += a * a;
+          sumBB += b * b;
+          sumAB += a * b;
+        }
+      }
+
+      const n = SSIM_WINDOW * SSIM_WINDOW;
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      const varianceA = sumAA / n - meanA * meanA;
+      const varianceB = sumBB / n - meanB * meanB;
+      const covariance = sumAB / n - meanA * meanB;
+
+      total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+               ((meanA * meanA + meanB * meanB + SSIM_C1) * (varianceA + varianceB + SSIM_C2));
+      windows++;
+    }
+  }
+
+  return windows > 0 ? total / windows : 1;
+}
+
+/**
+ * Peak signal-to-noise ratio (dB) between two luma frames, Infinity when identical
+ */
+function computePsnr(lumaA, lumaB) {
+  let squaredError = 0;
+
+  for (let i = 0; i < lumaA.length; i++) {
+    const diff = lumaA[i] - lumaB[i];
+    squaredError += diff * diff;
+  }
+
+  const mse = squaredError / lumaA.length;
+  return mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse);
+}
+
+module.exports = {
+  toLuma,
+  computeColorHistogram,
+  computeLumaHistogram,
+  computeEdgeDensity,
+  computeFrameDifference,
+  histogramDistance,
+  colorHistogramDistance,
+  downscaleLuma,
+  computePerceptualHash,
+  hammingDistance,
+  computeFrameDescriptor,
+  compareDescriptors,
+  computeSsim,
+  computePsnr
+};
@@ -70,7 +70,7 @@ async function analyzeWithGemini(mediaPath, frameAnalysis, audioAnalysis) {
     // Extract recommended loop points from the response
     return {
       analysis: text,
-      recommendedLoopPoints: extractLoopPointsFromGeminiResponse(text, frameAnalysis, audioAnalysis)
+      recommendedLoopPoints: extractLoopPointsFromGeminiResponse(text)
     };
   } catch (error) {
     console.error('Error analyzing with Gemini:', error);
@@ -97,7 +97,7 @@ async function extractThumbnail(mediaPath) {
 /**
  * Parse the Gemini response to extract loop point recommendations
  */
-function extractLoopPointsFromGeminiResponse(text, frameAnalysis, audioAnalysis) {
+function extractLoopPointsFromGeminiResponse(text) {
   // This is a simplistic parser for illustration
   // A real implementation would use more robust parsing
   
@@ -118,11 +118,6 @@ function extractLoopPointsFromGeminiResponse(text, frameAnalysis, audioAnalysis)
     };
   });
   
-  // If no loop points were found in the text, use fallback from frame analysis
-  if (loopPoints.length === 0 && frameAnalysis && frameAnalysis.potentialLoopPoints) {
-    return frameAnalysis.potentialLoopPoints.slice(0, 3); // Return top 3 from frame analysis
-  }
-  
   return loopPoints;
 }
 
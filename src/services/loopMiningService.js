@@ -0,0 +1,130 @@
+/**
+ * Loop Mining Service
+ * Scans a whole video for every good loop and returns a non-overlapping, ranked set
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { analyzeFrames } = require('./frameAnalysisService');
+const { analyzeAudio } = require('./audioAnalysisService');
+const { collectLoopCandidates, fuseLoopCandidates } = require('./candidateFusionService');
+const { refineLoopPoints } = require('./loopRefinementService');
+const { optimizeLoop } = require('./optimizationService');
+
+// Default number of loops returned
+const DEFAULT_MAX_LOOPS = 10;
+// Default minimum fused score for a loop to be kept
+const DEFAULT_MIN_CONFIDENCE = 0.3;
+
+/**
+ * Find non-overlapping loops across the whole media file
+ */
+async function mineLoops(mediaPath, mediaInfo, options) {
+  const frameAnalysis = await analyzeFrames(mediaPath, {
+    sampleRate: options.frameSampleRate,
+    motionThreshold: options.motionThreshold,
+    sceneChangeThreshold: options.sceneChangeThreshold,
+    allowSceneCuts: false,
+    regionFilters: options.regionFilters
+  });
+
+  let audioAnalysis = null;
+  if (mediaInfo.audio && options.useAudio) {
+    audioAnalysis = await analyzeAudio(mediaPath, {
+      silenceThreshold: options.silenceThreshold,
+      minimumSilenceDuration: options.minimumSilenceDuration
+    });
+  }
+
+  // Score every candidate, not just the top few
+  const candidates = fuseLoopCandidates(
+    collectLoopCandidates(frameAnalysis, audioAnalysis, null),
+    audioAnalysis ? audioAnalysis.silencePoints : null,
+    { weights: options.fusionWeights, maxResults: Infinity }
+  );
+
+  const selection = {
+    maxLoops: options.maxLoops || DEFAULT_MAX_LOOPS,
+    minConfidence: options.minConfidence !== undefined ? options.minConfidence : DEFAULT_MIN_CONFIDENCE,
+    minGap: options.minGap || 0
+  };
+  let loops = selectNonOverlapping(candidates, selection);
+
+  if (mediaInfo.video && options.refineLoopPoints) {
+    const refined = await refineLoopPoints(mediaPath, loops, {
+      frameRate: mediaInfo.video.frameRate,
+      maxCandidates: loops.length,
+      filters: options.regionFilters
+    });
+
+    // Refinement can move a loop's ends into a neighbour, so select again
+    loops = selectNonOverlapping(refined, selection);
+  }
+
+  // Present the harvest in timeline order, keeping each loop's rank
+  return loops
+    .map((loop, rank) => ({ ...loop, rank: rank + 1 }))
+    .sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * Greedily keep the best candidates whose time ranges don't overlap
+ */
+function selectNonOverlapping(candidates, options) {
+  const selected = [];
+  const sorted = candidates.slice().sort((a, b) => b.confidence - a.confidence);
+
+  for (const candidate of sorted) {
+    if (selected.length >= options.maxLoops || candidate.confidence < options.minConfidence) {
+      break;
+    }
+
+    const overlaps = selected.some(loop =>
+      candidate.startTime < loop.endTime + options.minGap &&
+      loop.startTime < candidate.endTime + options.minGap
+    );
+    if (!overlaps) {
+      selected.push(candidate);
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Render each mined loop as its own optimized output
+ */
+async function renderLoops(mediaPath, loops, outputDir, params) {
+  const rendered = [];
+
+  // One at a time: optimizeLoop shares its intermediate directory
+  for (const loop of loops) {
+    const outputId = uuidv4();
+    const outputFile = path.join(outputDir, `${outputId}.mp4`);
+    const result = await optimizeLoop(mediaPath, outputFile, {
+      ...params,
+      startTime: loop.startTime,
+      endTime: loop.endTime,
+      transitionType: loop.transitionType === 'pingpong' ? 'pingpong' : params.transitionType
+    });
+
+    rendered.push({
+      ...loop,
+      output: {
+        id: outputId,
+        url: `/output/${outputId}.mp4`,
+        duration: result.duration,
+        frameCount: result.frameCount,
+        qualityMetrics: result.qualityMetrics
+      }
+    });
+  }
+
+  return rendered;
+}
+
+module.exports = {
+  mineLoops,
+  selectNonOverlapping,
+  renderLoops
+};
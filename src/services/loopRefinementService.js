@@ -0,0 +1,115 @@
+/**
+ * Loop Refinement Service
+ * Refines coarse loop points to exact frames by searching at the native frame rate
+ */
+
+const { decodeFrames } = require('./frameDecodingService');
+const { computeFrameDescriptor, compareDescriptors } = require('./frameFeatureService');
+
+// Seconds searched on either side of each coarse loop point
+const DEFAULT_REFINEMENT_WINDOW = 0.5;
+// Number of top candidates that get refined
+const DEFAULT_MAX_CANDIDATES = 3;
+
+/**
+ * Refine the top loop candidates to frame-accurate start and end points
+ */
+async function refineLoopPoints(mediaPath, loopPoints, options) {
+  const frameRate = options.frameRate;
+  const window = options.window || DEFAULT_REFINEMENT_WINDOW;
+  const maxCandidates = options.maxCandidates || DEFAULT_MAX_CANDIDATES;
+  const filters = options.filters;
+
+  const refined = [];
+
+  for (let i = 0; i < loopPoints.length; i++) {
+    const point = loopPoints[i];
+
+    if (i < maxCandidates) {
+      refined.push(await refineLoopPoint(mediaPath, point, frameRate, window, filters));
+    } else {
+      // Remaining candidates keep their coarse times, snapped to the nearest frame
+      refined.push({
+        ...point,
+        startFrame: Math.round(point.startTime * frameRate),
+        endFrame: Math.round(point.endTime * frameRate),
+        refined: false
+      });
+    }
+  }
+
+  return refined;
+}
+
+/**
+ * Find the most similar start/end frame pair around a single coarse loop point
+ */
+async function refineLoopPoint(mediaPath, point, frameRate, window, filters) {
+  const startFrames = await decodeWindow(mediaPath, point.startTime, window, frameRate, filters);
+  const endFrames = await decodeWindow(mediaPath, point.endTime, window, frameRate, filters);
+
+  let best = null;
+
+  for (const startFrame of startFrames) {
+    for (const endFrame of endFrames) {
+      // The loop must still move forward by at least one frame
+      if (endFrame.index <= startFrame.index) {
+        continue;
+      }
+
+      const similarity = compareDescriptors(startFrame.descriptor, endFrame.descriptor).overall;
+
+      // Prefer the pair closest to the coarse points when similarity ties
+      const drift = Math.abs(startFrame.time - point.startTime) + Math.abs(endFrame.time - point.endTime);
+      if (!best || similarity > best.similarity ||
+          (similarity === best.similarity && drift < best.drift)) {
+        best = { startFrame, endFrame, similarity, drift };
+      }
+    }
+  }
+
+  if (!best) {
+    return {
+      ...point,
+      startFrame: Math.round(point.startTime * frameRate),
+      endFrame: Math.round(point.endTime * frameRate),
+      refined: false
+    };
+  }
+
+  return {
+    ...point,
+    startTime: best.startFrame.time,
+    endTime: best.endFrame.time,
+    startFrame: best.startFrame.index,
+    endFrame: best.endFrame.index,
+    frameSimilarity: best.similarity,
+    coarseStartTime: point.startTime,
+    coarseEndTime: point.endTime,
+    refined: true
+  };
+}
+
+/**
+ * Decode every frame within a window around a point in time
+ */
+async function decodeWindow(mediaPath, centerTime, window, frameRate, filters) {
+  const startTime = Math.max(0, centerTime - window);
+  const firstIndex = Math.round(startTime * frameRate);
+
+  const { width, height, frames } = await decodeFrames(mediaPath, {
+    startTime: firstIndex / frameRate,
+    duration: window * 2,
+    filters
+  });
+
+  return frames.map((rgb, i) => ({
+    index: firstIndex + i,
+    time: (firstIndex + i) / frameRate,
+    descriptor: computeFrameDescriptor(rgb, width, height)
+  }));
+}
+
+module.exports = {
+  refineLoopPoints
+};
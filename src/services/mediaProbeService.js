@@ -0,0 +1,201 @@
+/**
+ * Media Probe Service
+ * Shared ffprobe wrapper with safe frame-rate parsing and variable frame rate detection
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Relative difference between nominal and average frame rate that suggests VFR
+const FRAME_RATE_MISMATCH = 0.01;
+// Relative spread of frame intervals above which timing is considered variable
+const INTERVAL_VARIATION = 0.1;
+// Seconds of packets inspected when checking frame timing
+const PACKET_SCAN_DURATION = 10;
+// Frame rates VFR footage is conformed to by default
+const STANDARD_FRAME_RATES = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60];
+
+/**
+ * Parse an ffprobe rational ("30000/1001") or decimal frame rate
+ */
+function parseFrameRate(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?$/);
+  if (!match) {
+    return null;
+  }
+
+  const numerator = parseFloat(match[1]);
+  const denominator = match[2] !== undefined ? parseFloat(match[2]) : 1;
+  if (denominator === 0 || numerator === 0) {
+    return null;
+  }
+
+  return numerator / denominator;
+}
+
+/**
+ * Probe a media file for format, video and audio stream information
+ *
+ * With inspectPackets, video packet timestamps are read to confirm variable frame rate.
+ */
+async function probeMedia(mediaPath, options = {}) {
+  const metadata = await ffprobe(mediaPath);
+
+  const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+  const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
+
+  let video = null;
+  if (videoStream) {
+    const realFrameRate = parseFrameRate(videoStream.r_frame_rate);
+    const averageFrameRate = parseFrameRate(videoStream.avg_frame_rate);
+
+    // Nominal and average rates disagree when frame durations vary
+    let variableFrameRate = Boolean(realFrameRate && averageFrameRate &&
+      Math.abs(realFrameRate - averageFrameRate) / realFrameRate > FRAME_RATE_MISMATCH);
+    let frameIntervalVariation = null;
+
+    if (options.inspectPackets) {
+      const intervals = await readFrameIntervals(mediaPath);
+      if (intervals.length > 1) {
+        frameIntervalVariation = coefficientOfVariation(intervals);
+        variableFrameRate = frameIntervalVariation > INTERVAL_VARIATION;
+      }
+    }
+
+    video = {
+      codec: videoStream.codec_name,
+      width: videoStream.width,
+      height: videoStream.height,
+      // Average rate maps frame indices to times correctly when timing varies
+      frameRate: (variableFrameRate ? averageFrameRate : realFrameRate) || averageFrameRate || realFrameRate,
+      realFrameRate,
+      averageFrameRate,
+      variableFrameRate,
+      frameIntervalVariation,
+      duration: parseFloat(videoStream.duration) || parseFloat(metadata.format.duration),
+      bitRate: videoStream.bit_rate
+    };
+  }
+
+  return {
+    duration: metadata.format.duration,
+    format: metadata.format.format_name,
+    size: metadata.format.size,
+    video,
+    audio: audioStream ? {
+      codec: audioStream.codec_name,
+      channels: audioStream.channels,
+      sampleRate: parseInt(audioStream.sample_rate),
+      bitRate: audioStream.bit_rate
+    } : null
+  };
+}
+
+/**
+ * Re-time variable frame rate video to a constant frame rate
+ *
+ * The copy gets a unique name so concurrent requests never share it; callers
+ * delete it when done.
+ */
+async function conformToCfr(mediaPath, frameRate) {
+  const outputPath = path.join(
+    './temp',
+    `cfr_${path.basename(mediaPath, path.extname(mediaPath))}_${uuidv4()}.mkv`
+  );
+
+  // Ensure temp directory exists
+  fs.mkdirSync('./temp', { recursive: true });
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(mediaPath)
+      .videoFilters(`fps=${frameRate}`)
+      .videoCodec('libx264')
+      .outputOptions(['-crf 18', '-preset veryfast', '-c:a copy'])
+      .output(outputPath) // Matroska accepts any copied audio codec
+      .on('end', () => {
+        resolve(outputPath);
+      })
+      .on('error', (err) => {
+        fs.rmSync(outputPath, { force: true });
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * Standard frame rate closest to a measured one
+ */
+function nearestStandardFrameRate(frameRate) {
+  return STANDARD_FRAME_RATES.reduce((best, rate) =>
+    Math.abs(rate - frameRate) < Math.abs(best - frameRate) ? rate : best
+  );
+}
+
+function ffprobe(mediaPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(mediaPath, (err, metadata) => {
+      if (err) return reject(err);
+      resolve(metadata);
+    });
+  });
+}
+
+/**
+ * Intervals (seconds) between consecutive video packet timestamps
+ */
+async function readFrameIntervals(mediaPath) {
+  const ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+
+  return new Promise((resolve) => {
+    execFile(ffprobePath, [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-read_intervals', `%+${PACKET_SCAN_DURATION}`,
+      '-show_entries', 'packet=pts_time',
+      '-of', 'csv=p=0',
+      mediaPath
+    ], { maxBuffer: 16 * 1024 * 1024 }, (err, stdout) => {
+      if (err) {
+        // Fall back to the stream-level frame rate comparison
+        console.warn('Could not read packet timestamps:', err.message);
+        return resolve([]);
+      }
+
+      // Packets are in decode order; presentation order needs sorting
+      const times = stdout.split('\n')
+        .map(line => parseFloat(line))
+        .filter(time => Number.isFinite(time))
+        .sort((a, b) => a - b);
+
+      const intervals = [];
+      for (let i = 1; i < times.length; i++) {
+        intervals.push(times[i] - times[i - 1]);
+      }
+      resolve(intervals);
+    });
+  });
+}
+
+function coefficientOfVariation(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  if (mean <= 0) {
+    return 0;
+  }
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance) / mean;
+}
+
+module.exports = {
+  parseFrameRate,
+  probeMedia,
+  conformToCfr,
+  nearestStandardFrameRate
+};
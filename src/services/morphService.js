@@ -0,0 +1,42 @@
+/**
+ * Morph Service
+ * Synthesizes motion-compensated in-between frames so a loop's end morphs into its start
+ */
+
+// minterpolate settings: motion-compensated interpolation with overlapped blocks,
+// bidirectional estimation and variable-size block refinement. Scene change
+// detection is off: a large jump across the seam must still be interpolated
+const MINTERPOLATE_OPTIONS = 'mi_mode=mci:mc_mode=aobmc:me_mode=bidir:vsbmc=1:scd=none';
+
+/**
+ * Filter graph (input [0:v], output [v]) replacing the last morphFrames frames with a morph
+ *
+ * The last kept frame and the first frame are interpolated with ffmpeg's
+ * minterpolate, so content that is slightly displaced across the seam moves
+ * into place instead of ghosting as it would with a crossfade. The loop's
+ * duration is unchanged.
+ */
+function buildMorphFilters(frameRate, frameCount, morphFrames) {
+  // The morph runs from the last kept frame to the first frame; its in-betweens
+  // take the place of the dropped tail
+  const keptFrames = frameCount - morphFrames;
+
+  return [
+    '[0:v]split=3[body][edge][start]',
+    `[body]trim=end_frame=${keptFrames},setpts=PTS-STARTPTS[kept]`,
+    `[edge]trim=start_frame=${keptFrames - 1}:end_frame=${keptFrames},setpts=PTS-STARTPTS[from]`,
+    '[start]trim=end_frame=1,setpts=PTS-STARTPTS[to]',
+    // minterpolate needs frames on either side of a pair to interpolate it, so
+    // both ends are padded with clones; the in-betweens follow the padded
+    // 'from' frame, which is output frame morphFrames + 1
+    `[from][to]concat=n=2:v=1:a=0,setpts=N/(${frameRate}*TB),` +
+      `tpad=start=1:stop=2:start_mode=clone:stop_mode=clone,` +
+      `minterpolate=fps=${frameRate * (morphFrames + 1)}:${MINTERPOLATE_OPTIONS},` +
+      `trim=start_frame=${morphFrames + 2}:end_frame=${2 * morphFrames + 2},setpts=N/(${frameRate}*TB)[morph]`,
+    '[kept][morph]concat=n=2:v=1:a=0[v]'
+  ];
+}
+
+module.exports = {
+  buildMorphFilters
+};
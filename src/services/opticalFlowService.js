@@ -0,0 +1,194 @@
+/**
+ * Optical Flow Service
+ * Estimates motion between frames using coarse-to-fine block matching on luma
+ */
+
+const DEFAULT_BLOCK_SIZE = 8;
+const DEFAULT_SEARCH_RADIUS = 6;
+// Blocks with less luma variance than this are too flat to match reliably
+const MIN_BLOCK_VARIANCE = 20;
+
+/**
+ * Estimate a block motion field and global motion between two luma frames
+ */
+function estimateMotionField(previousLuma, currentLuma, width, height, options = {}) {
+  const blockSize = options.blockSize || DEFAULT_BLOCK_SIZE;
+  const searchRadius = options.searchRadius || DEFAULT_SEARCH_RADIUS;
+
+  // Coarse pass at half resolution gives an initial guess per block
+  const halfWidth = Math.floor(width / 2);
+  const halfHeight = Math.floor(height / 2);
+  const coarsePrevious = halveLuma(previousLuma, width, height);
+  const coarseCurrent = halveLuma(currentLuma, width, height);
+
+  const columns = Math.floor(width / blockSize);
+  const rows = Math.floor(height / blockSize);
+  const vectors = [];
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const x = column * blockSize;
+      const y = row * blockSize;
+
+      // Coarse blocks cover twice the area, centred on the fine block
+      const coarseSize = Math.min(blockSize, halfWidth, halfHeight);
+      const coarseX = clamp(Math.floor(x / 2) - Math.floor(blockSize / 4), 0, halfWidth - coarseSize);
+      const coarseY = clamp(Math.floor(y / 2) - Math.floor(blockSize / 4), 0, halfHeight - coarseSize);
+      const coarse = matchBlock(
+        coarsePrevious, coarseCurrent, halfWidth, halfHeight,
+        coarseX, coarseY, coarseSize,
+        0, 0, searchRadius
+      );
+
+      // Refine the doubled coarse vector at full resolution
+      const fine = matchBlock(
+        previousLuma, currentLuma, width, height,
+        x, y, blockSize,
+        coarse.dx * 2, coarse.dy * 2, 2
+      );
+
+      vectors.push({
+        x,
+        y,
+        dx: fine.dx,
+        dy: fine.dy,
+        error: fine.error,
+        reliable: blockVariance(currentLuma, width, x, y, blockSize) >= MIN_BLOCK_VARIANCE
+      });
+    }
+  }
+
+  const reliableVectors = vectors.filter(vector => vector.reliable);
+  const globalMotion = computeGlobalMotion(reliableVectors.length > 0 ? reliableVectors : vectors);
+
+  const meanMagnitude = vectors.length > 0
+    ? vectors.reduce((sum, v) => sum + Math.sqrt(v.dx * v.dx + v.dy * v.dy), 0) / vectors.length
+    : 0;
+
+  return {
+    width,
+    height,
+    blockSize,
+    columns,
+    rows,
+    vectors,
+    globalMotion,
+    meanMagnitude,
+    // Largest displacement the coarse-to-fine search can represent
+    maxDisplacement: searchRadius * 2 + 2
+  };
+}
+
+/**
+ * Normalize a motion field's mean magnitude to a 0-1 activity value
+ */
+function motionActivityFromField(field) {
+  return Math.min(1, field.meanMagnitude / field.maxDisplacement);
+}
+
+/**
+ * Find the displacement of a block from the previous frame into the current frame
+ */
+function matchBlock(previous, current, width, height, x, y, size, guessDx, guessDy, radius) {
+  // Start from the guess so ties keep the smaller correction
+  let best = { dx: guessDx, dy: guessDy, error: Infinity };
+
+  for (let dy = guessDy - radius; dy <= guessDy + radius; dy++) {
+    for (let dx = guessDx - radius; dx <= guessDx + radius; dx++) {
+      // The block at (x, y) in the current frame came from (x - dx, y - dy)
+      const sx = x - dx;
+      const sy = y - dy;
+      if (sx < 0 || sy < 0 || sx + size > width || sy + size > height ||
+          x + size > width || y + size > height) {
+        continue;
+      }
+
+      let error = 0;
+      for (let by = 0; by < size && error <= best.error; by++) {
+        const currentRow = (y + by) * width + x;
+        const previousRow = (sy + by) * width + sx;
+        for (let bx = 0; bx < size; bx++) {
+          error += Math.abs(current[currentRow + bx] - previous[previousRow + bx]);
+        }
+      }
+
+      if (error < best.error ||
+          (error === best.error && Math.abs(dx) + Math.abs(dy) < Math.abs(best.dx) + Math.abs(best.dy))) {
+        best = { dx, dy, error };
+      }
+    }
+  }
+
+  if (best.error === Infinity) {
+    return { dx: 0, dy: 0, error: 0 };
+  }
+
+  return { dx: best.dx, dy: best.dy, error: best.error / (size * size * 255) };
+}
+
+/**
+ * Global motion as the component-wise median of block vectors
+ */
+function computeGlobalMotion(vectors) {
+  if (vectors.length === 0) {
+    return { dx: 0, dy: 0, magnitude: 0 };
+  }
+
+  const dx = median(vectors.map(v => v.dx));
+  const dy = median(vectors.map(v => v.dy));
+
+  return { dx, dy, magnitude: Math.sqrt(dx * dx + dy * dy) };
+}
+
+/**
+ * Downscale a luma plane by two in each dimension
+ */
+function halveLuma(luma, width, height) {
+  const halfWidth = Math.floor(width / 2);
+  const halfHeight = Math.floor(height / 2);
+  const output = new Uint8Array(halfWidth * halfHeight);
+
+  for (let y = 0; y < halfHeight; y++) {
+    for (let x = 0; x < halfWidth; x++) {
+      const i = (y * 2) * width + x * 2;
+      output[y * halfWidth + x] = (luma[i] + luma[i + 1] + luma[i + width] + luma[i + width + 1]) >> 2;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Luma variance inside a block
+ */
+function blockVariance(luma, width, x, y, size) {
+  let sum = 0;
+  let sumSquares = 0;
+
+  for (let by = 0; by < size; by++) {
+    for (let bx = 0; bx < size; bx++) {
+      const value = luma[(y + by) * width + x + bx];
+      sum += value;
+      sumSquares += value * value;
+    }
+  }
+
+  const count = size * size;
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+module.exports = {
+  estimateMotionField,
+  motionActivityFromField
+};
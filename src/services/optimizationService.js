@@ -8,6 +8,18 @@ const fs = require('fs');
 const path = require('path');
 const { blendFrames } = require('./frameBlendingService');
 const { processAudio } = require('./audioProcessingService');
+const { measureSeamQuality } = require('./seamQualityService');
+const { snapAudioLoopPoints } = require('./audioSnapService');
+const { probeMedia } = require('./mediaProbeService');
+const { createCinemagraph } = require('./cinemagraphService');
+const { createPingPong } = require('./pingPongService');
+const { hasTransition, transitionHandle, renderTransition } = require('./transitionRegistry');
+const { planRetime, retimeMedia } = require('./retimeService');
+const { correctColorDrift } = require('./colorCorrectionService');
+const { stabilizeMedia } = require('./stabilizationService');
+
+// Seconds decoded before the loop start so trims land after an accurate seek
+const SEEK_PREROLL = 1;
 
 /**
  * Optimize media loop using specified parameters
@@ -18,26 +30,138 @@ async function optimizeLoop(mediaPath, outputPath, params) {
     const tempDir = './temp/optimize';
     fs.mkdirSync(tempDir, { recursive: true });
     
+    const sourceInfo = await getLoopInfo(mediaPath);
+    
+    // Cut from the stabilized proxy when requested (cached, so shared with analysis)
+    let inputPath = mediaPath;
+    let stabilization = null;
+    if (params.stabilization && sourceInfo.hasVideo) {
+      const stabilized = await stabilizeMedia(mediaPath, params.stabilization);
+      inputPath = stabilized.path;
+      stabilization = { method: stabilized.method, settings: stabilized.settings, cached: stabilized.cached };
+    }
+    
+    // Snap audio loop points to matching zero crossings to avoid clicks
+    let audioLoopPoints = null;
+    if (sourceInfo.hasAudio && params.snapAudio !== false) {
+      audioLoopPoints = await snapAudioLoopPoints(inputPath, params.startTime, params.endTime, {
+        sampleRate: sourceInfo.sampleRate,
+        channels: sourceInfo.channels,
+        window: params.audioSnapWindow
+      });
+    }
+    
+    // Seam transitions overlap footage from beyond the loop, so it is cut along with it
+    const handle = sourceInfo.hasVideo && hasTransition(params.transitionType)
+      ? planTransitionHandle(
+        transitionHandle(params.transitionType, params.transitionParams, params.endTime - params.startTime),
+        params.startTime, params.endTime, sourceInfo
+      )
+      : null;
+    const preroll = handle && handle.direction === 'preroll' ? handle.duration : 0;
+    const postroll = handle && handle.direction === 'postroll' ? handle.duration : 0;
+    
     // Extract the loop segment
     const loopPath = path.join(tempDir, `loop_${path.basename(outputPath)}`);
-    await extractLoopSegment(mediaPath, loopPath, params.startTime, params.endTime);
+    await extractLoopSegment(inputPath, loopPath, params.startTime - preroll, params.endTime + postroll, {
+      hasVideo: sourceInfo.hasVideo,
+      hasAudio: sourceInfo.hasAudio,
+      audioLoopPoints: audioLoopPoints && {
+        ...audioLoopPoints,
+        startSample: audioLoopPoints.startSample - Math.round(preroll * audioLoopPoints.sampleRate),
+        endSample: audioLoopPoints.endSample + Math.round(postroll * audioLoopPoints.sampleRate)
+      }
+    });
+    
+    // Spread exposure/color drift over the loop so the seam doesn't pop; ping-pong
+    // loops return to their first frame anyway
+    let sourcePath = loopPath;
+    let colorCorrection = null;
+    if (params.colorCorrection && sourceInfo.hasVideo && params.transitionType !== 'pingpong') {
+      const correctedPath = path.join(tempDir, `color_${path.basename(outputPath)}`);
+      colorCorrection = await correctColorDrift(loopPath, correctedPath);
+      if (colorCorrection) {
+        sourcePath = correctedPath;
+      }
+    }
     
     // Optimize video frames if needed
-    let optimizedVideoPath = loopPath;
-    if (params.blendFrames > 0) {
+    let optimizedVideoPath = sourcePath;
+    let pingPong = null;
+    let transition = null;
+    if (params.transitionType === 'pingpong') {
+      // Forward then reversed playback has no seam to blend
+      optimizedVideoPath = path.join(tempDir, `pingpong_${path.basename(outputPath)}`);
+      pingPong = await createPingPong(sourcePath, optimizedVideoPath, {
+        ease: params.pingPongEase,
+        audioStrategy: params.pingPongAudio
+      });
+    } else if (hasTransition(params.transitionType)) {
+      // Registered seam transition (crossfade, wipe, morph, plugins...)
+      optimizedVideoPath = path.join(tempDir, `transition_${path.basename(outputPath)}`);
+      transition = await renderTransition(params.transitionType, sourcePath, optimizedVideoPath, params.transitionParams, {
+        easing: params.easing,
+        handle
+      });
+    } else if (params.blendFrames > 0) {
       optimizedVideoPath = path.join(tempDir, `blended_${path.basename(outputPath)}`);
-      await blendFrames(loopPath, optimizedVideoPath, params.blendFrames);
+      await blendFrames(sourcePath, optimizedVideoPath, params.blendFrames, { easing: params.easing });
+    }
+    
+    // Freeze everything outside the mask for cinemagraphs
+    if (params.mode === 'cinemagraph') {
+      const cinemagraphPath = path.join(tempDir, `cinemagraph_${path.basename(outputPath)}`);
+      await createCinemagraph(optimizedVideoPath, cinemagraphPath, {
+        mask: params.mask,
+        referenceTime: params.referenceTime,
+        feather: params.maskFeather
+      });
+      optimizedVideoPath = cinemagraphPath;
+    }
+    
+    // Crossfade the audio across the wrap point, using the source audio past the loop's end;
+    // ping-pong loops and transitions that crossfade the audio themselves already wrap cleanly
+    let audioCrossfade = null;
+    if (params.audioFade && !pingPong && !(transition && transition.mapsAudio)) {
+      const crossfadedPath = path.join(tempDir, `audio_${path.basename(outputPath)}`);
+      audioCrossfade = await processAudio(optimizedVideoPath, crossfadedPath, params.audioFadeDuration, {
+        easing: params.easing,
+        source: audioLoopPoints ? { ...audioLoopPoints, path: inputPath } : { path: inputPath, startTime: params.startTime }
+      });
+      optimizedVideoPath = crossfadedPath;
     }
     
-    // Process audio if needed
-    let finalPath = optimizedVideoPath;
-    if (params.audioFade) {
-      finalPath = path.join(tempDir, `audio_${path.basename(outputPath)}`);
-      await processAudio(optimizedVideoPath, finalPath, params.audioFadeDuration);
+    // Rebuilt audio runs the video's length from the loop start, so report where it really ends
+    if (audioLoopPoints && audioCrossfade) {
+      audioLoopPoints = withLoopEndSample(audioLoopPoints, audioCrossfade.endSample);
+    } else if (audioLoopPoints && transition && transition.mapsAudio) {
+      audioLoopPoints = withLoopEndSample(
+        audioLoopPoints,
+        audioLoopPoints.startSample + Math.round(transition.duration * audioLoopPoints.sampleRate)
+      );
+    }
+    
+    // Retime to the exact target duration, last so it covers ping-pong and blended loops alike
+    let retime = null;
+    if (params.targetDuration) {
+      const renderedInfo = await probeMedia(optimizedVideoPath);
+      retime = planRetime(renderedInfo.duration, params.targetDuration, {
+        tolerance: params.retimeTolerance,
+        frameRate: renderedInfo.video ? renderedInfo.video.frameRate : null
+      });
+      if (!retime) {
+        throw new Error(`Loop duration ${renderedInfo.duration}s cannot be retimed to the target within tolerance`);
+      }
+      
+      if (retime.method !== 'none') {
+        const retimedPath = path.join(tempDir, `retimed_${path.basename(outputPath)}`);
+        await retimeMedia(optimizedVideoPath, retimedPath, retime);
+        optimizedVideoPath = retimedPath;
+      }
     }
     
     // Copy the final optimized loop to the output path
-    await fs.promises.copyFile(finalPath, outputPath);
+    await fs.promises.copyFile(optimizedVideoPath, outputPath);
     
     // Clean up temporary files
     await cleanupTempFiles(tempDir);
@@ -45,11 +169,27 @@ async function optimizeLoop(mediaPath, outputPath, params) {
     // Get information about the optimized loop
     const loopInfo = await getLoopInfo(outputPath);
     
+    // Measure how seamlessly the rendered loop wraps around
+    const seamQuality = await measureSeamQuality(outputPath, loopInfo);
+    
     return {
       ...loopInfo,
+      qualityMetrics: {
+        ...seamQuality,
+        compressionRatio: calculateCompressionRatio(sourceInfo, loopInfo)
+      },
+      audioLoopPoints,
       optimizationApplied: {
-        videoBlending: params.blendFrames > 0,
-        audioFade: params.audioFade
+        stabilization,
+        videoBlending: !pingPong && !transition && params.blendFrames > 0,
+        pingPong,
+        transition,
+        colorCorrection,
+        cinemagraph: params.mode === 'cinemagraph',
+        retime,
+        audioFade: params.audioFade,
+        audioCrossfade,
+        easing: params.easing || null
       }
     };
   } catch (error) {
@@ -58,14 +198,69 @@ async function optimizeLoop(mediaPath, outputPath, params) {
   }
 }
 
+/**
+ * Footage a seam transition overlaps beyond the loop, limited to what the source has
+ *
+ * Like processAudio's crossfade, the footage after the loop's end is used
+ * ('postroll') unless there is more before its start ('preroll'). The
+ * duration is whole frames so the loop keeps its frame count.
+ */
+function planTransitionHandle(duration, startTime, endTime, sourceInfo) {
+  const frameRate = sourceInfo.frameRate;
+  const frames = seconds => Math.max(0, Math.floor(seconds * frameRate + 1e-6));
+  const wanted = frames(duration);
+  const postroll = Math.min(wanted, frames(sourceInfo.duration - endTime));
+  const preroll = Math.min(wanted, frames(startTime));
+  const direction = postroll >= preroll ? 'postroll' : 'preroll';
+  
+  return { direction, duration: (direction === 'postroll' ? postroll : preroll) / frameRate };
+}
+
+/**
+ * Audio loop points ending at the sample the rendered audio really ends on
+ */
+function withLoopEndSample(audioLoopPoints, endSample) {
+  return {
+    ...audioLoopPoints,
+    endSample,
+    endTime: endSample / audioLoopPoints.sampleRate,
+    endOffset: audioLoopPoints.endOffset + endSample - audioLoopPoints.endSample
+  };
+}
+
 /**
  * Extract the specified segment from the media file
+ *
+ * Audio is trimmed at exact sample positions when snapped loop points are given.
  */
-async function extractLoopSegment(mediaPath, outputPath, startTime, endTime) {
+async function extractLoopSegment(mediaPath, outputPath, startTime, endTime, streams) {
+  // Seek a little early; timestamps restart at zero from the seek point
+  const seekTime = Math.max(0, startTime - SEEK_PREROLL);
+  const filters = [];
+  const outputs = [];
+  
+  if (streams.hasVideo) {
+    filters.push(
+      `[0:v]trim=start=${startTime - seekTime}:end=${endTime - seekTime},setpts=PTS-STARTPTS[v]`
+    );
+    outputs.push('-map [v]');
+  }
+  
+  if (streams.hasAudio) {
+    const audioLoopPoints = streams.audioLoopPoints;
+    const audioTrim = audioLoopPoints
+      ? `atrim=start_sample=${audioLoopPoints.startSample - Math.round(seekTime * audioLoopPoints.sampleRate)}` +
+        `:end_sample=${audioLoopPoints.endSample - Math.round(seekTime * audioLoopPoints.sampleRate)}`
+      : `atrim=start=${startTime - seekTime}:end=${endTime - seekTime}`;
+    filters.push(`[0:a]${audioTrim},asetpts=PTS-STARTPTS[a]`);
+    outputs.push('-map [a]');
+  }
+  
   return new Promise((resolve, reject) => {
     ffmpeg(mediaPath)
-      .setStartTime(startTime)
-      .setDuration(endTime - startTime)
+      .setStartTime(seekTime)
+      .complexFilter(filters)
+      .outputOptions(outputs)
       .output(outputPath)
       .on('end', () => {
         resolve();
@@ -81,19 +276,32 @@ async function extractLoopSegment(mediaPath, outputPath, startTime, endTime) {
  * Get information about the loop file
  */
 async function getLoopInfo(filePath) {
-  return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(filePath, (err, metadata) => {
-      if (err) return reject(err);
-      
-      const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-      
-      resolve({
-        duration: metadata.format.duration,
-        frameCount: videoStream ? Math.floor(videoStream.duration * eval(videoStream.r_frame_rate)) : 0,
-        fileSize: metadata.format.size
-      });
-    });
-  });
+  const mediaInfo = await probeMedia(filePath);
+  
+  return {
+    duration: mediaInfo.duration,
+    frameCount: mediaInfo.video ? Math.floor(mediaInfo.video.duration * mediaInfo.video.frameRate) : 0,
+    fileSize: mediaInfo.size,
+    hasVideo: Boolean(mediaInfo.video),
+    hasAudio: Boolean(mediaInfo.audio),
+    frameRate: mediaInfo.video ? mediaInfo.video.frameRate : null,
+    sampleRate: mediaInfo.audio ? mediaInfo.audio.sampleRate : null,
+    channels: mediaInfo.audio ? mediaInfo.audio.channels : null
+  };
+}
+
+/**
+ * Fraction by which the loop's bitrate is reduced relative to the source
+ */
+function calculateCompressionRatio(sourceInfo, loopInfo) {
+  if (!sourceInfo.duration || !loopInfo.duration || !sourceInfo.fileSize) {
+    return null;
+  }
+  
+  const sourceBytesPerSecond = sourceInfo.fileSize / sourceInfo.duration;
+  const loopBytesPerSecond = loopInfo.fileSize / loopInfo.duration;
+  
+  return 1 - loopBytesPerSecond / sourceBytesPerSecond;
 }
 
 /**
@@ -118,5 +326,7 @@ async function cleanupTempFiles(tempDir) {
 }
 
 module.exports = {
-  optimizeLoop
+  optimizeLoop,
+  planTransitionHandle,
+  withLoopEndSample
 };
@@ -0,0 +1,160 @@
+/**
+ * Ping-Pong Service
+ * Builds forward-then-reversed (boomerang) loops for content without matching frames
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const { probeMedia } = require('./mediaProbeService');
+const { loopCrossfadeFilters } = require('./audioProcessingService');
+
+// Audio strategies for the reversed half
+const AUDIO_STRATEGIES = ['reverse', 'mute', 'crossfade'];
+// Longest audio crossfade (seconds) used by the crossfade strategy
+const MAX_AUDIO_CROSSFADE = 0.5;
+// Strongest allowed ease; at 1 playback would stop entirely at the turning points
+const MAX_EASE = 0.9;
+
+/**
+ * Render a ping-pong loop: the clip forwards, then backwards back to its first frame
+ *
+ * ease (0-1) slows playback towards the turning points. audioStrategy is
+ * 'reverse' (play the audio backwards too), 'mute', or 'crossfade' (repeat the
+ * forward audio with a crossfade where it restarts). The ease warps only the
+ * picture, so it cannot be combined with reversed audio, which would drift
+ * away from it.
+ */
+async function createPingPong(inputPath, outputPath, options = {}) {
+  const mediaInfo = await probeMedia(inputPath);
+  if (!mediaInfo.video) {
+    throw new Error('Ping-pong loops require a video stream');
+  }
+
+  const frameRate = mediaInfo.video.frameRate;
+  const pingPong = buildPingPongFilters({
+    frameRate,
+    frameCount: Math.round(mediaInfo.video.duration * frameRate),
+    sampleRate: mediaInfo.audio ? mediaInfo.audio.sampleRate : null
+  }, options);
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .complexFilter(pingPong.filters)
+      .outputOptions(pingPong.outputs)
+      .output(outputPath)
+      .on('end', () => {
+        resolve({ duration: pingPong.duration, audioStrategy: pingPong.audioStrategy });
+      })
+      .on('error', (err) => {
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * Filter graph for a ping-pong loop of a clip with the given frameRate, frameCount and audio sampleRate
+ *
+ * sampleRate is null when the clip has no audio. Returns the complex filters,
+ * the output options mapping them, the loop's duration and the audio strategy
+ * used.
+ */
+function buildPingPongFilters(clip, options = {}) {
+  const audioStrategy = options.audioStrategy || 'reverse';
+  if (!AUDIO_STRATEGIES.includes(audioStrategy)) {
+    throw new Error(`Unknown ping-pong audio strategy: ${audioStrategy}`);
+  }
+
+  const { frameRate, frameCount } = clip;
+  if (frameCount < 3) {
+    throw new Error('Segment is too short for a ping-pong loop');
+  }
+  const duration = frameCount / frameRate;
+  const ease = Math.min(MAX_EASE, Math.max(0, options.ease || 0));
+  const hasAudio = Boolean(clip.sampleRate) && audioStrategy !== 'mute';
+  if (hasAudio && audioStrategy === 'reverse' && ease > 0) {
+    throw new Error('Ping-pong ease cannot be combined with reversed audio; use the mute or crossfade audio strategy');
+  }
+
+  // Drop the reversed copy's first and last frames so neither turning point
+  // shows the same frame twice
+  const filters = [
+    '[0:v]split[forward][backward]',
+    `[backward]reverse,trim=start_frame=1:end_frame=${frameCount - 1},setpts=PTS-STARTPTS[reversed]`,
+    // Each half runs from one turning frame to the other, a frame shorter than the clip
+    `[forward][reversed]concat=n=2:v=1:a=0${easeFilters(ease, frameCount - 1, frameRate)}[v]`
+  ];
+  const outputs = ['-map [v]'];
+
+  // Reversed video is two frames shorter than the forward half
+  const totalDuration = (2 * frameCount - 2) / frameRate;
+  if (hasAudio) {
+    filters.push(...audioFilters(audioStrategy, duration, totalDuration, clip.sampleRate));
+    outputs.push('-map [a]');
+  }
+
+  return { filters, outputs, duration: totalDuration, audioStrategy: hasAudio ? audioStrategy : 'mute' };
+}
+
+/**
+ * Time-warp filters that slow playback near both turning points
+ *
+ * Output time is t + ease * D * sin(2πt / D) / 2π for half-cycle length D: the
+ * playback rate is 1 / (1 + ease) at the turns and 1 / (1 - ease) midway, and
+ * the total duration is unchanged. Resampling to the frame rate can end a
+ * frame early, so the last frame is held to the full two half-cycles.
+ */
+function easeFilters(ease, halfCycleFrames, frameRate) {
+  if (ease <= 0) {
+    return '';
+  }
+
+  const duration = halfCycleFrames / frameRate;
+  return `,setpts='(T+${ease}*${duration}*sin(2*PI*T/${duration})/(2*PI))/TB',fps=${frameRate},` +
+    `tpad=stop=-1:stop_mode=clone,trim=end_frame=${2 * halfCycleFrames}`;
+}
+
+/**
+ * Audio filters for the chosen strategy, exactly as long as the video
+ */
+function audioFilters(audioStrategy, duration, totalDuration, sampleRate) {
+  if (audioStrategy === 'reverse') {
+    return [
+      '[0:a]asplit[forwardAudio][backwardAudio]',
+      '[backwardAudio]areverse[reversedAudio]',
+      // Trimmed by sample: areverse's output timestamps make time-based trims cut short
+      `[forwardAudio][reversedAudio]concat=n=2:v=0:a=1,apad,atrim=end_sample=${Math.round(totalDuration * sampleRate)}[a]`
+    ];
+  }
+
+  // crossfade: fold the forward audio into a seamless cycle, repeat it, then
+  // crossfade the repeat into the loop length so the wrap is seamless as well
+  const clipSamples = Math.round(duration * sampleRate);
+  const totalSamples = Math.round(totalDuration * sampleRate);
+  const fadeSamples = Math.round(Math.min(MAX_AUDIO_CROSSFADE, duration / 4) * sampleRate);
+  const cycleSamples = clipSamples - fadeSamples;
+
+  return [
+    `[0:a]apad,atrim=end_sample=${clipSamples},asetpts=PTS-STARTPTS[forwardAudio]`,
+    ...loopCrossfadeFilters('forwardAudio', 'cycle', {
+      sampleRate,
+      loopSamples: cycleSamples,
+      fadeSamples,
+      direction: 'postroll'
+    }),
+    // Three cycles cover the loop plus its fade since the fade is at most a quarter of the clip
+    '[cycle]asplit=3[cycle1][cycle2][cycle3]',
+    `[cycle1][cycle2][cycle3]concat=n=3:v=0:a=1,atrim=end_sample=${totalSamples + fadeSamples}[cycled]`,
+    ...loopCrossfadeFilters('cycled', 'a', {
+      sampleRate,
+      loopSamples: totalSamples,
+      fadeSamples,
+      direction: 'postroll'
+    })
+  ];
+}
+
+module.exports = {
+  createPingPong,
+  buildPingPongFilters,
+  AUDIO_STRATEGIES
+};
@@ -0,0 +1,178 @@
+/**
+ * Region of Interest Service
+ * Restricts frame analysis to included regions, blanking excluded areas such as logos or tickers
+ */
+
+/**
+ * Parse an ROI option into normalized include/exclude rectangles
+ *
+ * Accepts a single rectangle, an array of rectangles to include, or
+ * { include: [...], exclude: [...] }. Rectangles are { x, y, width, height }
+ * as fractions (0-1) of the frame size. JSON strings are parsed first.
+ */
+function parseRegions(value) {
+  if (!value) {
+    return null;
+  }
+
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+
+  let include;
+  let exclude;
+  if (Array.isArray(parsed)) {
+    include = parsed;
+    exclude = [];
+  } else if (parsed.include || parsed.exclude) {
+    include = parsed.include || [];
+    exclude = parsed.exclude || [];
+  } else {
+    include = [parsed];
+    exclude = [];
+  }
+
+  const regions = {
+    include: include.map(validateRectangle),
+    exclude: exclude.map(validateRectangle)
+  };
+
+  return regions.include.length > 0 || regions.exclude.length > 0 ? regions : null;
+}
+
+/**
+ * Analysis window (crop) and the rectangles inside it that must be blanked
+ *
+ * The window is the bounding box of the included rectangles; any part of it not
+ * covered by an include, and every exclude, is filled so it never changes.
+ */
+function resolveRegionGeometry(regions) {
+  const bounds = regions.include.length > 0
+    ? boundingBox(regions.include)
+    : { x: 0, y: 0, width: 1, height: 1 };
+
+  const fills = regions.exclude.slice();
+
+  if (regions.include.length > 1) {
+    // Split the bounds into a grid on the include edges and fill uncovered cells
+    const xs = gridEdges(regions.include, 'x', 'width', bounds.x, bounds.x + bounds.width);
+    const ys = gridEdges(regions.include, 'y', 'height', bounds.y, bounds.y + bounds.height);
+
+    for (let j = 0; j < ys.length - 1; j++) {
+      for (let i = 0; i < xs.length - 1; i++) {
+        const centerX = (xs[i] + xs[i + 1]) / 2;
+        const centerY = (ys[j] + ys[j + 1]) / 2;
+        const covered = regions.include.some(rect =>
+          centerX >= rect.x && centerX <= rect.x + rect.width &&
+          centerY >= rect.y && centerY <= rect.y + rect.height
+        );
+        if (!covered) {
+          fills.push({ x: xs[i], y: ys[j], width: xs[i + 1] - xs[i], height: ys[j + 1] - ys[j] });
+        }
+      }
+    }
+  }
+
+  return { bounds, fills };
+}
+
+/**
+ * ffmpeg video filters that blank excluded areas and crop to the analysis window
+ */
+function buildRegionFilters(regions) {
+  if (!regions) {
+    return [];
+  }
+
+  const { bounds, fills } = resolveRegionGeometry(regions);
+  const filters = fills.map(rect =>
+    `drawbox=x=iw*${fraction(rect.x)}:y=ih*${fraction(rect.y)}` +
+    `:w=iw*${fraction(rect.width)}:h=ih*${fraction(rect.height)}:color=black:t=fill`
+  );
+
+  if (bounds.width < 1 || bounds.height < 1) {
+    filters.push(
+      `crop=w=iw*${fraction(bounds.width)}:h=ih*${fraction(bounds.height)}` +
+      `:x=iw*${fraction(bounds.x)}:y=ih*${fraction(bounds.y)}`
+    );
+  }
+
+  return filters;
+}
+
+/**
+ * Apply the same blanking and cropping to an RGB24 frame in memory
+ */
+function applyRegionMask(rgb, width, height, regions) {
+  if (!regions) {
+    return { rgb, width, height };
+  }
+
+  const { bounds, fills } = resolveRegionGeometry(regions);
+  const left = Math.floor(bounds.x * width);
+  const top = Math.floor(bounds.y * height);
+  const croppedWidth = Math.max(1, Math.min(width - left, Math.round(bounds.width * width)));
+  const croppedHeight = Math.max(1, Math.min(height - top, Math.round(bounds.height * height)));
+  const output = Buffer.alloc(croppedWidth * croppedHeight * 3);
+
+  for (let y = 0; y < croppedHeight; y++) {
+    const sourceOffset = ((top + y) * width + left) * 3;
+    rgb.copy(output, y * croppedWidth * 3, sourceOffset, sourceOffset + croppedWidth * 3);
+  }
+
+  // Fill rectangles are in source coordinates; shift them into the crop
+  for (const rect of fills) {
+    const fromX = Math.max(0, Math.floor(rect.x * width) - left);
+    const toX = Math.min(croppedWidth, Math.ceil((rect.x + rect.width) * width) - left);
+    const fromY = Math.max(0, Math.floor(rect.y * height) - top);
+    const toY = Math.min(croppedHeight, Math.ceil((rect.y + rect.height) * height) - top);
+    for (let y = fromY; y < toY; y++) {
+      if (toX > fromX) {
+        output.fill(0, (y * croppedWidth + fromX) * 3, (y * croppedWidth + toX) * 3);
+      }
+    }
+  }
+
+  return { rgb: output, width: croppedWidth, height: croppedHeight };
+}
+
+function validateRectangle(rect) {
+  const values = ['x', 'y', 'width', 'height'].map(key => parseFloat(rect && rect[key]));
+  const [x, y, width, height] = values;
+
+  if (values.some(value => !Number.isFinite(value)) ||
+      x < 0 || y < 0 || width <= 0 || height <= 0 ||
+      x + width > 1 + 1e-9 || y + height > 1 + 1e-9) {
+    throw new Error(`Invalid region ${JSON.stringify(rect)}: expected x, y, width, height as fractions of the frame`);
+  }
+
+  return { x, y, width, height };
+}
+
+/**
+ * Fraction formatted for a filter expression without floating point noise
+ */
+function fraction(value) {
+  return Number(value.toFixed(6));
+}
+
+function boundingBox(rects) {
+  const left = Math.min(...rects.map(rect => rect.x));
+  const top = Math.min(...rects.map(rect => rect.y));
+  const right = Math.max(...rects.map(rect => rect.x + rect.width));
+  const bottom = Math.max(...rects.map(rect => rect.y + rect.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+function gridEdges(rects, position, size, from, to) {
+  const edges = new Set([from, to]);
+  for (const rect of rects) {
+    edges.add(rect[position]);
+    edges.add(rect[position] + rect[size]);
+  }
+  return [...edges].sort((a, b) => a - b);
+}
+
+module.exports = {
+  parseRegions,
+  buildRegionFilters,
+  applyRegionMask
+};
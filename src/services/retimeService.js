@@ -0,0 +1,138 @@
+/**
+ * Retime Service
+ * Fits loops to an exact target duration with a small speed change or frame drop/duplicate
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const { probeMedia } = require('./mediaProbeService');
+
+// Largest relative playback speed change allowed by default (5%)
+const DEFAULT_TOLERANCE = 0.05;
+// Frame count changes up to this size are made by dropping or duplicating frames
+const MAX_FRAME_ADJUSTMENT = 2;
+// Durations closer than this (seconds) are treated as equal
+const DURATION_EPSILON = 1e-6;
+
+/**
+ * Parse a target duration option
+ *
+ * Accepts seconds ("6", 6) for an exact length, "multiple of 2" for any whole
+ * multiple of a length, or an object { exact } / { multiple }.
+ */
+function parseTargetDuration(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let target;
+  if (typeof value === 'object') {
+    target = value;
+  } else {
+    const multiple = String(value).trim().match(/^multiple\s+of\s+(.+)$/i);
+    target = multiple ? { multiple: Number(multiple[1]) } : { exact: Number(value) };
+  }
+
+  const seconds = target.exact !== undefined ? target.exact : target.multiple;
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new Error(`Invalid target duration: ${JSON.stringify(value)}`);
+  }
+
+  return target.exact !== undefined ? { exact: seconds } : { multiple: seconds };
+}
+
+/**
+ * Exact duration a loop of the given length should be retimed to
+ */
+function resolveTargetDuration(duration, target) {
+  if (target.exact !== undefined) {
+    return target.exact;
+  }
+
+  return Math.max(1, Math.round(duration / target.multiple)) * target.multiple;
+}
+
+/**
+ * Plan how to retime a loop to the target, or null when it would exceed the tolerance
+ *
+ * The plan's method is 'none' when the loop already fits, 'frames' when a
+ * constant frame rate can be kept by dropping or duplicating a few frames, and
+ * 'speed' otherwise (every frame kept, frame rate scaled).
+ */
+function planRetime(duration, target, options = {}) {
+  const tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_TOLERANCE;
+  const targetDuration = resolveTargetDuration(duration, target);
+  const speed = duration / targetDuration;
+
+  if (Math.abs(speed - 1) > tolerance + DURATION_EPSILON) {
+    return null;
+  }
+
+  let method = 'speed';
+  let frameDelta = 0;
+  if (Math.abs(targetDuration - duration) < DURATION_EPSILON) {
+    method = 'none';
+  } else if (options.frameRate) {
+    // Dropping or duplicating frames only lands exactly on targets that are a whole number of frames
+    const targetFrames = targetDuration * options.frameRate;
+    frameDelta = Math.round(targetFrames) - Math.round(duration * options.frameRate);
+    if (Math.abs(targetFrames - Math.round(targetFrames)) < DURATION_EPSILON * options.frameRate &&
+        Math.abs(frameDelta) <= MAX_FRAME_ADJUSTMENT) {
+      method = 'frames';
+    } else {
+      frameDelta = 0;
+    }
+  }
+
+  return {
+    method,
+    originalDuration: duration,
+    targetDuration,
+    speed,
+    frameDelta
+  };
+}
+
+/**
+ * Apply a retime plan to a rendered loop
+ */
+async function retimeMedia(inputPath, outputPath, plan) {
+  const mediaInfo = await probeMedia(inputPath);
+  const filters = [];
+  const outputs = [];
+
+  if (mediaInfo.video) {
+    const frameRate = mediaInfo.video.frameRate;
+    const videoFilter = plan.method === 'frames'
+      ? `setpts=PTS/${plan.speed},fps=${frameRate},trim=end_frame=${Math.round(plan.targetDuration * frameRate)}`
+      : `setpts=PTS/${plan.speed}`;
+    filters.push(`[0:v]${videoFilter}[v]`);
+    outputs.push('-map [v]');
+  }
+
+  if (mediaInfo.audio) {
+    // Pad or trim so rounding in atempo can't leave the audio off the target
+    filters.push(`[0:a]atempo=${plan.speed},apad,atrim=end=${plan.targetDuration}[a]`);
+    outputs.push('-map [a]');
+  }
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .complexFilter(filters)
+      .outputOptions(outputs)
+      .output(outputPath)
+      .on('end', () => {
+        resolve(plan);
+      })
+      .on('error', (err) => {
+        reject(err);
+      })
+      .run();
+  });
+}
+
+module.exports = {
+  parseTargetDuration,
+  resolveTargetDuration,
+  planRetime,
+  retimeMedia
+};
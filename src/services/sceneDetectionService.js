@@ -0,0 +1,87 @@
+/**
+ * Scene Detection Service
+ * Detects hard cuts using ffmpeg's scene change score
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+
+// Scene score above which a frame counts as a hard cut
+const DEFAULT_THRESHOLD = 0.3;
+
+/**
+ * Parse a scene change threshold request option (0-1)
+ */
+function parseSceneChangeThreshold(value) {
+  if (value === undefined || value === '') {
+    return DEFAULT_THRESHOLD;
+  }
+
+  const threshold = typeof value === 'number' ? value : Number(value);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new Error('Invalid sceneChangeThreshold: expected a number from 0 to 1');
+  }
+
+  return threshold;
+}
+
+/**
+ * Detect scene changes at full frame rate
+ */
+async function detectSceneChanges(mediaPath, options = {}) {
+  // Validated again here since the threshold is interpolated into the filter graph
+  const threshold = parseSceneChangeThreshold(options.threshold);
+
+  return new Promise((resolve, reject) => {
+    const sceneChanges = [];
+    let pendingTime = null;
+
+    ffmpeg(mediaPath)
+      .noAudio()
+      .videoFilters([
+        ...(options.filters || []), // Restrict scoring to the region of interest
+        `select='gt(scene,${threshold})'`,
+        'metadata=print'
+      ])
+      .format('null')
+      .output('/dev/null') // Output is not needed, we're parsing the log
+      .on('stderr', (line) => {
+        // metadata=print logs the frame timestamp followed by its scene score
+        const timeMatch = line.match(/pts_time:\s*([\d.]+)/);
+        if (timeMatch) {
+          pendingTime = parseFloat(timeMatch[1]);
+          return;
+        }
+
+        const scoreMatch = line.match(/lavfi\.scene_score=([\d.]+)/);
+        if (scoreMatch && pendingTime !== null) {
+          const score = parseFloat(scoreMatch[1]);
+          sceneChanges.push({
+            time: pendingTime,
+            score,
+            confidence: Math.min(1.0, score)
+          });
+          pendingTime = null;
+        }
+      })
+      .on('end', () => {
+        resolve(sceneChanges);
+      })
+      .on('error', (err) => {
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * Find scene changes strictly inside a time range
+ */
+function findCutsWithin(sceneChanges, startTime, endTime) {
+  return sceneChanges.filter(change => change.time > startTime && change.time < endTime);
+}
+
+module.exports = {
+  parseSceneChangeThreshold,
+  detectSceneChanges,
+  findCutsWithin
+};
@@ -0,0 +1,207 @@
+/**
+ * Seam Quality Service
+ * Measures how seamlessly a loop wraps from its last frame back to its first
+ */
+
+const { decodeFrames } = require('./frameDecodingService');
+const { decodeAudio } = require('./audioDecodingService');
+const { toLuma, computeSsim, computePsnr } = require('./frameFeatureService');
+const { estimateMotionField } = require('./opticalFlowService');
+
+// Resolution frames are decoded at for seam measurements
+const SEAM_WIDTH = 320;
+const SEAM_HEIGHT = 180;
+// Seconds of media decoded at each end of the loop
+const EDGE_DURATION = 0.25;
+// Seconds of audio compared on each side of the wrap point
+const AUDIO_LEVEL_WINDOW = 0.02;
+
+/**
+ * Measure seam quality of a rendered loop file
+ */
+async function measureSeamQuality(loopPath, loopInfo) {
+  const duration = loopInfo.duration;
+  const edgeDuration = Math.min(EDGE_DURATION, duration / 2);
+
+  let video = null;
+  if (loopInfo.hasVideo) {
+    const head = await decodeFrames(loopPath, {
+      width: SEAM_WIDTH,
+      height: SEAM_HEIGHT,
+      duration: edgeDuration
+    });
+    const tail = await decodeFrames(loopPath, {
+      width: SEAM_WIDTH,
+      height: SEAM_HEIGHT,
+      startTime: Math.max(0, duration - edgeDuration)
+    });
+
+    if (head.frames.length >= 2 && tail.frames.length >= 2) {
+      video = computeVideoSeamMetrics(
+        tail.frames.slice(-2).map(rgb => toLuma(rgb, SEAM_WIDTH, SEAM_HEIGHT)),
+        head.frames.slice(0, 2).map(rgb => toLuma(rgb, SEAM_WIDTH, SEAM_HEIGHT)),
+        SEAM_WIDTH,
+        SEAM_HEIGHT
+      );
+    }
+  }
+
+  let audio = null;
+  if (loopInfo.hasAudio) {
+    const head = await decodeAudio(loopPath, { duration: edgeDuration });
+    const tail = await decodeAudio(loopPath, { startTime: Math.max(0, duration - edgeDuration) });
+    audio = computeAudioSeamMetrics(tail.channelData, head.channelData, head.sampleRate);
+  }
+
+  return summarizeSeamMetrics(video, audio);
+}
+
+/**
+ * Compare the frames either side of the seam against normal frame-to-frame change
+ *
+ * beforeSeam holds the last two luma frames of the loop, afterSeam the first two.
+ */
+function computeVideoSeamMetrics(beforeSeam, afterSeam, width, height) {
+  const [secondLast, last] = beforeSeam;
+  const [first, second] = afterSeam;
+
+  const ssim = computeSsim(last, first, width, height);
+  const psnr = computePsnr(last, first);
+
+  // Typical similarity between neighbouring frames inside the loop
+  const baselineSsim = (computeSsim(secondLast, last, width, height) +
+                        computeSsim(first, second, width, height)) / 2;
+
+  // Motion across the seam should continue the motion on either side of it
+  const before = estimateMotionField(secondLast, last, width, height);
+  const across = estimateMotionField(last, first, width, height);
+  const after = estimateMotionField(first, second, width, height);
+  const expectedDx = (before.globalMotion.dx + after.globalMotion.dx) / 2;
+  const expectedDy = (before.globalMotion.dy + after.globalMotion.dy) / 2;
+  const motionDiscontinuity = Math.min(1, Math.sqrt(
+    (across.globalMotion.dx - expectedDx) ** 2 + (across.globalMotion.dy - expectedDy) ** 2
+  ) / across.maxDisplacement);
+
+  return {
+    ssim,
+    psnr,
+    baselineSsim,
+    motionDiscontinuity
+  };
+}
+
+/**
+ * Measure the sample jump and level change where the loop's audio wraps around
+ *
+ * tail and head are per-channel sample arrays from the end and start of the loop.
+ */
+function computeAudioSeamMetrics(tail, head, sampleRate) {
+  const levelWindow = Math.max(1, Math.round(AUDIO_LEVEL_WINDOW * sampleRate));
+  let jump = 0;
+  let typicalStep = 0;
+  let tailEnergy = 0;
+  let headEnergy = 0;
+  let channels = 0;
+
+  for (let c = 0; c < Math.min(tail.length, head.length); c++) {
+    const tailSamples = tail[c];
+    const headSamples = head[c];
+    if (tailSamples.length < 2 || headSamples.length < 2) {
+      continue;
+    }
+
+    jump += Math.abs(headSamples[0] - tailSamples[tailSamples.length - 1]);
+    typicalStep += (rmsStep(tailSamples) + rmsStep(headSamples)) / 2;
+    tailEnergy += rms(tailSamples.subarray(Math.max(0, tailSamples.length - levelWindow)));
+    headEnergy += rms(headSamples.subarray(0, levelWindow));
+    channels++;
+  }
+
+  if (channels === 0) {
+    return null;
+  }
+
+  const epsilon = 1e-6;
+  const jumpRatio = (jump / channels) / (typicalStep / channels + epsilon);
+  const levelChangeDb = 20 * Math.log10((headEnergy + epsilon) / (tailEnergy + epsilon));
+
+  // A jump up to the usual sample-to-sample step is inaudible; 10x is a clear click
+  const clickScore = Math.min(1, Math.max(0, (jumpRatio - 1) / 9));
+  const levelScore = Math.min(1, Math.abs(levelChangeDb) / 12);
+
+  return {
+    sampleJump: jump / channels,
+    sampleJumpRatio: jumpRatio,
+    levelChangeDb,
+    discontinuity: (clickScore + levelScore) / 2
+  };
+}
+
+/**
+ * Combine video and audio seam measurements into overall quality scores
+ */
+function summarizeSeamMetrics(video, audio) {
+  const components = [];
+
+  if (video) {
+    // Seam similarity relative to normal frame-to-frame similarity
+    const ssimScore = Math.min(1, Math.max(0, video.ssim / Math.max(video.baselineSsim, 1e-6)));
+    components.push({ weight: 0.5, value: ssimScore });
+    components.push({ weight: 0.25, value: 1 - video.motionDiscontinuity });
+  }
+
+  if (audio) {
+    components.push({ weight: 0.25, value: 1 - audio.discontinuity });
+  }
+
+  const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+  const seamlessScore = totalWeight > 0
+    ? (components.reduce((sum, c) => sum + c.weight * c.value, 0) / totalWeight) * 100
+    : null;
+
+  // Map seam PSNR from 20 dB (visible artifacts) to 50 dB (transparent)
+  const artifactRating = video
+    ? Math.min(1, Math.max(0, (Math.min(video.psnr, 50) - 20) / 30)) * 100
+    : null;
+
+  return {
+    seamlessScore,
+    artifactRating,
+    ssim: video ? video.ssim : null,
+    psnr: video && Number.isFinite(video.psnr) ? video.psnr : null,
+    motionDiscontinuity: video ? video.motionDiscontinuity : null,
+    audioDiscontinuity: audio ? audio.discontinuity : null,
+    audioSampleJump: audio ? audio.sampleJump : null,
+    audioLevelChangeDb: audio ? audio.levelChangeDb : null
+  };
+}
+
+/**
+ * Root mean square of a sample array
+ */
+function rms(samples) {
+  let total = 0;
+  for (let i = 0; i < samples.length; i++) {
+    total += samples[i] * samples[i];
+  }
+  return samples.length > 0 ? Math.sqrt(total / samples.length) : 0;
+}
+
+/**
+ * Root mean square of the difference between consecutive samples
+ */
+function rmsStep(samples) {
+  let total = 0;
+  for (let i = 1; i < samples.length; i++) {
+    const step = samples[i] - samples[i - 1];
+    total += step * step;
+  }
+  return Math.sqrt(total / (samples.length - 1));
+}
+
+module.exports = {
+  measureSeamQuality,
+  computeVideoSeamMetrics,
+  computeAudioSeamMetrics,
+  summarizeSeamMetrics
+};
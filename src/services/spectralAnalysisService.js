@@ -0,0 +1,350 @@
+/**
+ * Spectral Analysis Service
+ * Short-time Fourier analysis of decoded audio
+ */
+
+// Default analysis frame and hop sizes (samples)
+const DEFAULT_FRAME_SIZE = 1024;
+const DEFAULT_HOP_SIZE = 512;
+// Number of mel bands and cepstral coefficients in the timbre features
+const MEL_BAND_COUNT = 26;
+const CEPSTRAL_COEFFICIENTS = 13;
+// Frequency range (Hz) that contributes to chroma
+const CHROMA_MIN_FREQUENCY = 55;
+const CHROMA_MAX_FREQUENCY = 5000;
+
+/**
+ * In-place radix-2 FFT; the length of re and im must be a power of two
+ */
+function fft(re, im) {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+}
+
+/**
+ * Hann window of the given length
+ */
+function hannWindow(size) {
+  const window = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+  }
+  return window;
+}
+
+/**
+ * Cut a stream of sample chunks into overlapping analysis frames
+ *
+ * push(samples) calls onFrame(frame, start) for every frame completed so far,
+ * where start is the frame's first sample. The frame array is reused between
+ * calls and only the samples of the unfinished frames are held on to.
+ */
+function createFrameStream(frameSize, hopSize, onFrame) {
+  const frame = new Float32Array(frameSize);
+  let filled = 0;
+  let skip = 0;
+  let start = 0;
+
+  return {
+    push(samples) {
+      let offset = 0;
+      while (offset < samples.length) {
+        // Hops longer than a frame drop the samples between frames
+        if (skip > 0) {
+          const skipped = Math.min(skip, samples.length - offset);
+          skip -= skipped;
+          offset += skipped;
+          continue;
+        }
+
+        const count = Math.min(frameSize - filled, samples.length - offset);
+        frame.set(samples.subarray(offset, offset + count), filled);
+        filled += count;
+        offset += count;
+
+        if (filled === frameSize) {
+          onFrame(frame, start);
+          start += hopSize;
+          if (hopSize < frameSize) {
+            frame.copyWithin(0, hopSize);
+            filled = frameSize - hopSize;
+          } else {
+            filled = 0;
+            skip = hopSize - frameSize;
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Magnitude spectrum function for frames of the given size
+ *
+ * The returned function windows a frame and returns its frameSize / 2 + 1
+ * magnitudes as a new array.
+ */
+function createSpectrumAnalyzer(frameSize) {
+  const window = hannWindow(frameSize);
+  const re = new Float32Array(frameSize);
+  const im = new Float32Array(frameSize);
+
+  return (frame) => {
+    for (let i = 0; i < frameSize; i++) {
+      re[i] = frame[i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    const magnitudes = new Float32Array(frameSize / 2 + 1);
+    for (let k = 0; k < magnitudes.length; k++) {
+      magnitudes[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+    }
+    return magnitudes;
+  };
+}
+
+/**
+ * Magnitude spectrogram of a mono signal
+ *
+ * Returns one Float32Array of frameSize / 2 + 1 magnitudes per hop.
+ */
+function computeSpectrogram(samples, options = {}) {
+  const frameSize = options.frameSize || DEFAULT_FRAME_SIZE;
+  const hopSize = options.hopSize || DEFAULT_HOP_SIZE;
+  const spectrum = createSpectrumAnalyzer(frameSize);
+  const frames = [];
+
+  createFrameStream(frameSize, hopSize, frame => frames.push(spectrum(frame))).push(samples);
+
+  return {
+    frameSize,
+    hopSize,
+    frames
+  };
+}
+
+/**
+ * Per-frame RMS, spectral centroid, chroma and MFCC-like feature extractor
+ *
+ * extract(frame, start) returns the features of one frameSize frame starting
+ * at sample start.
+ */
+function createSpectralFeatureExtractor(sampleRate, options = {}) {
+  const frameSize = options.frameSize || DEFAULT_FRAME_SIZE;
+  const hopSize = options.hopSize || DEFAULT_HOP_SIZE;
+  const window = hannWindow(frameSize);
+  const melFilters = createMelFilterbank(frameSize, sampleRate, MEL_BAND_COUNT);
+  const pitchClasses = createPitchClassMap(frameSize, sampleRate);
+  const re = new Float32Array(frameSize);
+  const im = new Float32Array(frameSize);
+  const binCount = frameSize / 2 + 1;
+  const power = new Float32Array(binCount);
+
+  function extract(frame, start) {
+    let energy = 0;
+    for (let i = 0; i < frameSize; i++) {
+      const sample = frame[i];
+      energy += sample * sample;
+      re[i] = sample * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    let totalMagnitude = 0;
+    let weightedFrequency = 0;
+    const chroma = new Float32Array(12);
+
+    for (let k = 0; k < binCount; k++) {
+      power[k] = re[k] * re[k] + im[k] * im[k];
+      const magnitude = Math.sqrt(power[k]);
+      totalMagnitude += magnitude;
+      weightedFrequency += magnitude * k * sampleRate / frameSize;
+      if (pitchClasses[k] >= 0) {
+        chroma[pitchClasses[k]] += power[k];
+      }
+    }
+
+    // Chroma is normalized so only the pitch content matters, not the level
+    const chromaPeak = Math.max(...chroma);
+    if (chromaPeak > 0) {
+      for (let p = 0; p < 12; p++) {
+        chroma[p] /= chromaPeak;
+      }
+    }
+
+    const melEnergies = melFilters.map(filter => {
+      let total = 0;
+      for (let k = filter.from; k < filter.to; k++) {
+        total += power[k] * filter.weights[k - filter.from];
+      }
+      return Math.log(total + 1e-10);
+    });
+
+    return {
+      time: (start + frameSize / 2) / sampleRate,
+      rms: Math.sqrt(energy / frameSize),
+      centroid: totalMagnitude > 0 ? weightedFrequency / totalMagnitude : 0,
+      chroma,
+      mfcc: discreteCosineTransform(melEnergies, CEPSTRAL_COEFFICIENTS)
+    };
+  }
+
+  return {
+    frameSize,
+    hopSize,
+    extract
+  };
+}
+
+/**
+ * Frame-wise RMS, spectral centroid, chroma and MFCC-like features of a mono signal
+ */
+function computeSpectralFeatures(samples, sampleRate, options = {}) {
+  const extractor = createSpectralFeatureExtractor(sampleRate, options);
+  const frames = [];
+
+  createFrameStream(extractor.frameSize, extractor.hopSize, (frame, start) => {
+    frames.push(extractor.extract(frame, start));
+  }).push(samples);
+
+  return {
+    frameSize: extractor.frameSize,
+    hopSize: extractor.hopSize,
+    frames
+  };
+}
+
+/**
+ * Triangular filters spaced evenly on the mel scale
+ */
+function createMelFilterbank(frameSize, sampleRate, bandCount) {
+  const toMel = frequency => 2595 * Math.log10(1 + frequency / 700);
+  const fromMel = mel => 700 * (Math.pow(10, mel / 2595) - 1);
+  const maxMel = toMel(sampleRate / 2);
+
+  // Band edges as FFT bin positions
+  const edges = [];
+  for (let i = 0; i < bandCount + 2; i++) {
+    edges.push(fromMel(maxMel * i / (bandCount + 1)) * frameSize / sampleRate);
+  }
+
+  const filters = [];
+  for (let band = 0; band < bandCount; band++) {
+    const [left, center, right] = edges.slice(band, band + 3);
+    const from = Math.floor(left);
+    const to = Math.min(frameSize / 2 + 1, Math.ceil(right) + 1);
+    const weights = new Float32Array(Math.max(0, to - from));
+
+    for (let k = from; k < to; k++) {
+      const rising = (k - left) / Math.max(center - left, 1e-6);
+      const falling = (right - k) / Math.max(right - center, 1e-6);
+      weights[k - from] = Math.max(0, Math.min(rising, falling));
+    }
+
+    filters.push({ from, to, weights });
+  }
+
+  return filters;
+}
+
+/**
+ * Pitch class (C = 0) of each FFT bin, or -1 outside the chroma range
+ */
+function createPitchClassMap(frameSize, sampleRate) {
+  const map = new Int8Array(frameSize / 2 + 1).fill(-1);
+
+  for (let k = 1; k < map.length; k++) {
+    const frequency = k * sampleRate / frameSize;
+    if (frequency >= CHROMA_MIN_FREQUENCY && frequency <= CHROMA_MAX_FREQUENCY) {
+      // A4 = 440 Hz is pitch class 9
+      const semitone = Math.round(12 * Math.log2(frequency / 440)) + 9;
+      map[k] = ((semitone % 12) + 12) % 12;
+    }
+  }
+
+  return map;
+}
+
+/**
+ * First coefficients of the DCT-II of a sequence
+ */
+function discreteCosineTransform(values, coefficientCount) {
+  const result = new Float32Array(coefficientCount);
+  const n = values.length;
+
+  for (let c = 0; c < coefficientCount; c++) {
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+      total += values[i] * Math.cos(Math.PI * c * (i + 0.5) / n);
+    }
+    result[c] = total;
+  }
+
+  return result;
+}
+
+/**
+ * Mix per-channel sample arrays down to mono
+ */
+function mixToMono(channelData) {
+  if (channelData.length === 1) {
+    return channelData[0];
+  }
+
+  const mono = new Float32Array(channelData[0].length);
+  for (const channel of channelData) {
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] += channel[i] / channelData.length;
+    }
+  }
+  return mono;
+}
+
+module.exports = {
+  fft,
+  hannWindow,
+  createFrameStream,
+  createSpectrumAnalyzer,
+  computeSpectrogram,
+  createSpectralFeatureExtractor,
+  computeSpectralFeatures,
+  mixToMono
+};
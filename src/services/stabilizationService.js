@@ -0,0 +1,243 @@
+/**
+ * Stabilization Service
+ * Removes handheld jitter before loop detection and rendering, caching the stabilized proxy
+ */
+
+const crypto = require('crypto');
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const { hashFile } = require('./analysisCacheService');
+
+// Directory holding stabilized proxies, reused across requests for the same content
+const PROXY_DIR = './temp/stabilized';
+// Total size the proxies may take up before the least recently used are evicted
+const PROXY_CACHE_BYTES = Number(process.env.STABILIZED_PROXY_CACHE_BYTES) || 4 * 1024 ** 3;
+// Proxies used more recently than this (ms) are never evicted, as a request may still be reading them
+const PROXY_MIN_IDLE = 10 * 60 * 1000;
+// Default stabilization settings
+const DEFAULT_SETTINGS = {
+  shakiness: 5, // 1-10, how shaky the footage is
+  smoothing: 10, // Frames on each side used to smooth the camera path
+  zoom: 0, // Extra zoom in percent (negative zooms out)
+  optimalZoom: 1, // 0 none, 1 static zoom hiding borders, 2 adaptive zoom
+  crop: 'black' // Fill uncovered borders with black, or keep the previous frame's pixels
+};
+const CROP_MODES = ['black', 'keep'];
+// deshake's equivalent of each crop mode
+const DESHAKE_EDGES = { black: 'blank', keep: 'original' };
+// Fixed zoom (percent) standing in for vid.stab's optimal zoom under deshake
+const DESHAKE_OPTIMAL_ZOOM = 5;
+
+// In-flight stabilizations, so concurrent requests for one proxy share the work
+const pending = new Map();
+let vidStabAvailable = null;
+
+/**
+ * Parse stabilization request options; null unless stabilize is 'true'
+ */
+function parseStabilizationOptions(options) {
+  if (options.stabilize !== 'true') {
+    return null;
+  }
+
+  const number = (value, fallback, min, max, name) => {
+    if (value === undefined || value === '') {
+      return fallback;
+    }
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+      throw new Error(`Invalid ${name}: expected a number from ${min} to ${max}`);
+    }
+    return parsed;
+  };
+
+  const crop = options.stabilizeCrop || DEFAULT_SETTINGS.crop;
+  if (!CROP_MODES.includes(crop)) {
+    throw new Error(`Invalid stabilizeCrop: expected one of ${CROP_MODES.join(', ')}`);
+  }
+
+  return {
+    shakiness: Math.round(number(options.stabilizeShakiness, DEFAULT_SETTINGS.shakiness, 1, 10, 'stabilizeShakiness')),
+    smoothing: Math.round(number(options.stabilizeSmoothing, DEFAULT_SETTINGS.smoothing, 0, 100, 'stabilizeSmoothing')),
+    zoom: number(options.stabilizeZoom, DEFAULT_SETTINGS.zoom, -50, 100, 'stabilizeZoom'),
+    optimalZoom: Math.round(number(options.stabilizeOptimalZoom, DEFAULT_SETTINGS.optimalZoom, 0, 2, 'stabilizeOptimalZoom')),
+    crop
+  };
+}
+
+/**
+ * Stabilize media, reusing a cached proxy for the same content and settings
+ *
+ * Uses vid.stab's two-pass vidstabdetect/vidstabtransform when ffmpeg has it,
+ * otherwise the single-pass deshake filter.
+ */
+async function stabilizeMedia(mediaPath, settings = {}) {
+  const resolved = { ...DEFAULT_SETTINGS, ...settings };
+  const contentHash = await hashFile(mediaPath);
+  const settingsHash = crypto.createHash('sha256').update(JSON.stringify(resolved)).digest('hex').slice(0, 16);
+  const proxyPath = path.join(PROXY_DIR, `${contentHash}_${settingsHash}.mkv`);
+
+  if (fs.existsSync(proxyPath)) {
+    // Mark the proxy as recently used so eviction keeps it
+    const now = new Date();
+    await fs.promises.utimes(proxyPath, now, now);
+    return { path: proxyPath, method: await stabilizationMethod(), settings: resolved, cached: true };
+  }
+
+  if (!pending.has(proxyPath)) {
+    pending.set(proxyPath, renderProxy(mediaPath, proxyPath, resolved)
+      .finally(() => pending.delete(proxyPath)));
+  }
+  const method = await pending.get(proxyPath);
+  await evictProxies();
+
+  return { path: proxyPath, method, settings: resolved, cached: false };
+}
+
+/**
+ * Render a stabilized proxy, writing to a temporary name first so a partial file is never reused
+ */
+async function renderProxy(mediaPath, proxyPath, settings) {
+  fs.mkdirSync(PROXY_DIR, { recursive: true });
+  const tempPath = proxyPath.replace(/\.mkv$/, `.${process.pid}.tmp.mkv`);
+  const method = await stabilizationMethod();
+
+  try {
+    if (method === 'vidstab') {
+      const transformsPath = proxyPath.replace(/\.mkv$/, `.${process.pid}.trf`);
+      try {
+        await detectTransforms(mediaPath, transformsPath, settings);
+        await runFilters(mediaPath, tempPath, [
+          `vidstabtransform=input=${transformsPath}:smoothing=${settings.smoothing}` +
+            `:zoom=${settings.zoom}:optzoom=${settings.optimalZoom}:crop=${settings.crop}`,
+          'unsharp=5:5:0.8:3:3:0.4'
+        ]);
+      } finally {
+        fs.rmSync(transformsPath, { force: true });
+      }
+    } else {
+      await runFilters(mediaPath, tempPath, [
+        `deshake=edge=${DESHAKE_EDGES[settings.crop]}`,
+        ...zoomFilters(settings)
+      ]);
+    }
+
+    await fs.promises.rename(tempPath, proxyPath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+
+  return method;
+}
+
+/**
+ * Delete the least recently used proxies until the rest fit in PROXY_CACHE_BYTES
+ *
+ * Proxies still being rendered or used within PROXY_MIN_IDLE are kept even
+ * when that leaves the cache over its limit.
+ */
+async function evictProxies() {
+  const now = Date.now();
+  const proxies = [];
+
+  for (const name of await fs.promises.readdir(PROXY_DIR)) {
+    const proxyPath = path.join(PROXY_DIR, name);
+    if (!name.endsWith('.mkv') || name.endsWith('.tmp.mkv') || pending.has(proxyPath)) {
+      continue;
+    }
+    try {
+      const stats = await fs.promises.stat(proxyPath);
+      proxies.push({ path: proxyPath, size: stats.size, usedAt: stats.mtimeMs });
+    } catch (error) {
+      // Already removed by a concurrent eviction
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  // Keep the most recently used proxies that fit
+  let total = 0;
+  for (const proxy of proxies.sort((a, b) => b.usedAt - a.usedAt)) {
+    total += proxy.size;
+    if (total > PROXY_CACHE_BYTES && now - proxy.usedAt > PROXY_MIN_IDLE) {
+      fs.rmSync(proxy.path, { force: true });
+    }
+  }
+}
+
+/**
+ * First vid.stab pass: estimate per-frame camera transforms
+ */
+function detectTransforms(mediaPath, transformsPath, settings) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(mediaPath)
+      .noAudio()
+      .videoFilters([`vidstabdetect=shakiness=${settings.shakiness}:accuracy=15:result=${transformsPath}`])
+      .format('null')
+      .output('-')
+      .on('end', () => {
+        resolve();
+      })
+      .on('error', (err) => {
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * Re-encode the video through the given filters, copying any audio
+ */
+function runFilters(mediaPath, outputPath, filters) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(mediaPath)
+      .videoFilters(filters)
+      .outputOptions(['-c:a copy'])
+      .output(outputPath)
+      .on('end', () => {
+        resolve();
+      })
+      .on('error', (err) => {
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * deshake has no zoom of its own; scale up and crop back to size to hide borders
+ */
+function zoomFilters(settings) {
+  const scale = 1 + (settings.zoom + (settings.optimalZoom > 0 ? DESHAKE_OPTIMAL_ZOOM : 0)) / 100;
+  if (scale <= 1) {
+    return [];
+  }
+
+  return [
+    `scale=trunc(iw*${scale}/2)*2:trunc(ih*${scale}/2)*2`,
+    `crop=trunc(iw/${scale}/2)*2:trunc(ih/${scale}/2)*2`
+  ];
+}
+
+/**
+ * 'vidstab' when ffmpeg was built with vid.stab, otherwise 'deshake'
+ */
+async function stabilizationMethod() {
+  if (vidStabAvailable === null) {
+    vidStabAvailable = await new Promise((resolve) => {
+      ffmpeg.getAvailableFilters((err, filters) => {
+        resolve(!err && Boolean(filters.vidstabdetect) && Boolean(filters.vidstabtransform));
+      });
+    });
+  }
+
+  return vidStabAvailable ? 'vidstab' : 'deshake';
+}
+
+module.exports = {
+  parseStabilizationOptions,
+  stabilizeMedia
+};
@@ -0,0 +1,478 @@
+/**
+ * Transition Registry
+ * Seam transitions that declare their parameters and render through an ffmpeg filter graph
+ *
+ * A transition definition is
+ *   { name, label, description, parameters, handle(params), buildFilterGraph(context, params) }
+ * where parameters maps each parameter name to a schema
+ *   { type: 'number' | 'integer' | 'boolean' | 'enum', default, min, max, values, description }
+ * and the optional handle returns the seconds of footage from beyond the loop
+ * the transition overlaps across the seam. buildFilterGraph receives the loop's
+ * { frameRate, frameCount, duration, width, height, hasAudio, sampleRate, easing,
+ * handle } plus the validated parameters; easing is the fade curve chosen for
+ * the whole loop (see easingService) and handle ({ direction, duration,
+ * frameCount }) describes the extra footage in the input after ('postroll') or
+ * before ('preroll') the loop. It returns { filters, mapsAudio }: complex
+ * filters reading [0:v] (and [0:a]) that output [v], exactly the loop's length,
+ * and [a] when mapsAudio is true; otherwise the audio is copied unchanged.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const { probeMedia } = require('./mediaProbeService');
+const { buildMorphFilters } = require('./morphService');
+const { videoBlendExpression } = require('./easingService');
+const { loopCrossfadeFilters } = require('./audioProcessingService');
+
+// Transition names: lowercase words joined by hyphens
+const NAME_PATTERN = /^[a-z][a-z0-9]*(-[a-z0-9]+)*$/;
+const PARAMETER_TYPES = ['number', 'integer', 'boolean', 'enum'];
+// Seam transitions use at most this fraction of the loop so some untouched footage remains
+const MAX_SEAM_FRACTION = 1 / 3;
+
+// Shared schema for transitions that overlap the loop's end with its start
+const DURATION_PARAMETER = {
+  type: 'number',
+  default: 0.5,
+  min: 0.04,
+  max: 5,
+  description: 'Length of the transition in seconds'
+};
+
+const transitions = new Map();
+// Plugin files that could not be loaded, with the reason
+const failedPlugins = [];
+
+/**
+ * Register a transition, replacing an existing one only when options.replace is set
+ */
+function registerTransition(definition, options = {}) {
+  if (!definition || !NAME_PATTERN.test(definition.name)) {
+    throw new Error(`Invalid transition name: ${definition && definition.name}`);
+  }
+  if (typeof definition.buildFilterGraph !== 'function') {
+    throw new Error(`Transition ${definition.name} must implement buildFilterGraph`);
+  }
+  if (transitions.has(definition.name) && !options.replace) {
+    throw new Error(`Transition already registered: ${definition.name}`);
+  }
+
+  const parameters = definition.parameters || {};
+  for (const [name, schema] of Object.entries(parameters)) {
+    if (!PARAMETER_TYPES.includes(schema.type)) {
+      throw new Error(`Invalid type for parameter ${name} of transition ${definition.name}: ${schema.type}`);
+    }
+    if (schema.type === 'enum' && (!Array.isArray(schema.values) || schema.values.length === 0)) {
+      throw new Error(`Enum parameter ${name} of transition ${definition.name} needs values`);
+    }
+  }
+
+  transitions.set(definition.name, {
+    label: definition.name,
+    description: '',
+    ...definition,
+    parameters
+  });
+}
+
+/**
+ * Remove a registered transition
+ */
+function unregisterTransition(name) {
+  return transitions.delete(name);
+}
+
+/**
+ * Whether a transition with this name is registered
+ */
+function hasTransition(name) {
+  return transitions.has(name);
+}
+
+/**
+ * Registered transitions with their parameter schemas, without the renderers
+ */
+function listTransitions() {
+  return [...transitions.values()].map(({ name, label, description, parameters }) => ({
+    name,
+    label,
+    description,
+    parameters
+  }));
+}
+
+/**
+ * Validate raw parameters (e.g. strings from a form) against a transition's schema, filling in defaults
+ */
+function resolveTransitionParameters(name, raw = {}) {
+  const transition = transitions.get(name);
+  if (!transition) {
+    throw new Error(`Unknown transition: ${name}`);
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!(key in transition.parameters)) {
+      throw new Error(`Unknown parameter for transition ${name}: ${key}`);
+    }
+  }
+
+  const resolved = {};
+  for (const [key, schema] of Object.entries(transition.parameters)) {
+    const value = raw[key];
+    resolved[key] = value === undefined || value === '' ? schema.default : coerceParameter(key, value, schema);
+  }
+
+  return resolved;
+}
+
+/**
+ * Seconds of footage from beyond the loop a transition overlaps across the seam, 0 for none
+ */
+function transitionHandle(name, rawParameters, loopDuration) {
+  const transition = transitions.get(name);
+  if (!transition || !transition.handle) {
+    return 0;
+  }
+
+  return Math.min(transition.handle(resolveTransitionParameters(name, rawParameters)), loopDuration * MAX_SEAM_FRACTION);
+}
+
+/**
+ * Render a registered transition onto a loop clip
+ *
+ * options.easing (from easingService.parseEasing) sets the fade curve; linear by default.
+ * options.handle ({ direction, duration }) is the footage the clip has beyond
+ * the loop for the transition to overlap, so the output is the loop's length.
+ * Without it a transition with a handle takes it from the clip's own end.
+ */
+async function renderTransition(name, inputPath, outputPath, rawParameters, options = {}) {
+  const transition = transitions.get(name);
+  if (!transition) {
+    throw new Error(`Unknown transition: ${name}`);
+  }
+  const parameters = resolveTransitionParameters(name, rawParameters);
+
+  const mediaInfo = await probeMedia(inputPath);
+  if (!mediaInfo.video) {
+    throw new Error('Transitions require a video stream');
+  }
+
+  const frameRate = mediaInfo.video.frameRate;
+  const clipFrames = Math.round((mediaInfo.video.duration || mediaInfo.duration) * frameRate);
+  const handle = options.handle || {
+    direction: 'postroll',
+    duration: transition.handle ? Math.min(transition.handle(parameters), clipFrames / frameRate * MAX_SEAM_FRACTION) : 0
+  };
+  const handleFrames = Math.round(handle.duration * frameRate);
+  const frameCount = clipFrames - handleFrames;
+  const context = {
+    frameRate,
+    frameCount,
+    duration: frameCount / frameRate,
+    width: mediaInfo.video.width,
+    height: mediaInfo.video.height,
+    hasAudio: Boolean(mediaInfo.audio),
+    sampleRate: mediaInfo.audio ? mediaInfo.audio.sampleRate : null,
+    easing: options.easing || { curve: 'linear' },
+    handle: { direction: handle.direction, duration: handleFrames / frameRate, frameCount: handleFrames }
+  };
+
+  const graph = transition.buildFilterGraph(context, parameters);
+  const outputs = ['-map [v]'];
+  if (context.hasAudio) {
+    outputs.push(...(graph.mapsAudio ? ['-map [a]'] : ['-map 0:a', '-c:a copy']));
+  }
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .complexFilter(graph.filters)
+      .outputOptions(outputs)
+      .output(outputPath)
+      .on('end', () => {
+        resolve({
+          name,
+          parameters,
+          easing: context.easing,
+          mapsAudio: Boolean(context.hasAudio && graph.mapsAudio),
+          duration: context.duration,
+          handle: transition.handle ? { direction: context.handle.direction, duration: context.handle.duration } : null
+        });
+      })
+      .on('error', (err) => {
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * Register every transition exported by the .js modules in a plugin directory
+ *
+ * Each module exports a transition definition or an array of them. A module
+ * that fails to load or register is skipped as a whole and recorded (see
+ * listFailedPlugins) so one broken plugin cannot stop the others or the API.
+ */
+function loadTransitionPlugins(pluginDir) {
+  if (!fs.existsSync(pluginDir)) {
+    return [];
+  }
+
+  const loaded = [];
+  for (const file of fs.readdirSync(pluginDir).filter(name => name.endsWith('.js')).sort()) {
+    const registered = [];
+    try {
+      const exported = require(path.resolve(pluginDir, file));
+      for (const definition of Array.isArray(exported) ? exported : [exported]) {
+        registerTransition(definition);
+        registered.push(definition.name);
+      }
+      loaded.push(...registered);
+    } catch (error) {
+      registered.forEach(unregisterTransition);
+      failedPlugins.push({ file, error: error.message });
+      console.error(`Failed to load transition plugin ${file}:`, error);
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Plugin files that failed to load, as { file, error }
+ */
+function listFailedPlugins() {
+  return failedPlugins.map(failure => ({ ...failure }));
+}
+
+/**
+ * Convert one raw parameter value to its schema type, enforcing limits
+ */
+function coerceParameter(key, value, schema) {
+  if (schema.type === 'boolean') {
+    if (value === true || value === 'true') {
+      return true;
+    }
+    if (value === false || value === 'false') {
+      return false;
+    }
+    throw new Error(`Invalid ${key}: expected true or false`);
+  }
+
+  if (schema.type === 'enum') {
+    if (!schema.values.includes(value)) {
+      throw new Error(`Invalid ${key}: expected one of ${schema.values.join(', ')}`);
+    }
+    return value;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || (schema.type === 'integer' && !Number.isInteger(number))) {
+    throw new Error(`Invalid ${key}: expected ${schema.type === 'integer' ? 'an integer' : 'a number'}`);
+  }
+  if ((schema.min !== undefined && number < schema.min) || (schema.max !== undefined && number > schema.max)) {
+    throw new Error(`Invalid ${key}: expected a value from ${schema.min} to ${schema.max}`);
+  }
+
+  return number;
+}
+
+/**
+ * Filter graph overlapping the loop's wrap with the footage beyond it using xfade
+ *
+ * The handle footage past the loop's end fades into its first frames, or its
+ * last frames fade into the handle footage before its start, so the seam sits
+ * at the start (postroll) or the end (preroll) and the loop keeps its length.
+ * This is the same overlap-add as audioProcessingService's loop crossfade,
+ * which rebuilds the audio with gains following the context's easing curve;
+ * eased transitions drive xfade's custom expressions along the same curve (see
+ * seamProgress). Frames are blended as 4:4:4 so those expressions read every
+ * plane, including a0's luma, at the same coordinates.
+ */
+function seamFilterGraph(context, xfadeOptions) {
+  const { frameRate, frameCount, handle } = context;
+  if (handle.frameCount === 0) {
+    // No footage to overlap: the loop wraps with a cut
+    return { filters: ['[0:v]null[v]'], mapsAudio: false };
+  }
+
+  const filters = [
+    '[0:v]format=yuv444p,split=3[body][tailSource][headSource]',
+    `[tailSource]trim=start_frame=${frameCount}:end_frame=${frameCount + handle.frameCount},setpts=PTS-STARTPTS[tail]`,
+    `[headSource]trim=end_frame=${handle.frameCount},setpts=PTS-STARTPTS[head]`,
+    `[body]trim=start_frame=${handle.frameCount}:end_frame=${frameCount},setpts=PTS-STARTPTS[middle]`,
+    `[tail][head]xfade=${xfadeOptions}:duration=${handle.frameCount / frameRate}:offset=0[seam]`,
+    handle.direction === 'preroll'
+      ? '[middle][seam]concat=n=2:v=1:a=0,format=yuv420p[v]'
+      : '[seam][middle]concat=n=2:v=1:a=0,format=yuv420p[v]'
+  ];
+
+  if (context.hasAudio) {
+    const crossfade = {
+      sampleRate: context.sampleRate,
+      loopSamples: Math.round(context.duration * context.sampleRate),
+      fadeSamples: Math.round(handle.duration * context.sampleRate),
+      direction: handle.direction
+    };
+    filters.push(
+      // Pad in case the audio stops a few samples short of the video
+      `[0:a]apad,atrim=end_sample=${crossfade.loopSamples + crossfade.fadeSamples}[audioSource]`,
+      ...loopCrossfadeFilters('audioSource', 'a', crossfade, context.easing)
+    );
+  }
+
+  return { filters, mapsAudio: context.hasAudio };
+}
+
+/**
+ * xfade custom expression for the progress (0-1) into the loop's beginning along the context's easing
+ */
+function seamProgress(context) {
+  // xfade's progress P runs from 1 to 0, so 1-P is the progress into the beginning
+  return videoBlendExpression(context.easing, '1-P');
+}
+
+registerTransition({
+  name: 'cut',
+  label: 'Hard Cut',
+  description: 'Wrap straight from the last frame to the first',
+  parameters: {},
+  buildFilterGraph: () => ({ filters: ['[0:v]null[v]'], mapsAudio: false })
+});
+
+registerTransition({
+  name: 'crossfade',
+  label: 'Crossfade',
+  description: 'Fade the end of the loop into its beginning',
+  handle: params => params.duration,
+  parameters: { duration: DURATION_PARAMETER },
+  buildFilterGraph: (context, params) => {
+    if (context.easing.curve === 'linear') {
+      return seamFilterGraph(context, 'transition=fade');
+    }
+    const weight = seamProgress(context);
+    return seamFilterGraph(context, `transition=custom:expr='A*(1-(${weight}))+B*(${weight})'`);
+  }
+});
+
+registerTransition({
+  name: 'dissolve',
+  label: 'Dissolve',
+  description: 'Pixel-by-pixel random dissolve from the end into the beginning',
+  handle: params => params.duration,
+  parameters: { duration: DURATION_PARAMETER },
+  buildFilterGraph: (context, params) => {
+    if (context.easing.curve === 'linear') {
+      return seamFilterGraph(context, 'transition=dissolve');
+    }
+    // The same per-pixel noise as xfade's dissolve; a pixel switches once progress passes it
+    const noise = 'sin(X*12.9898+Y*78.233)*43758.545';
+    return seamFilterGraph(context,
+      `transition=custom:expr='if(gte((${noise})-floor(${noise}),${seamProgress(context)}),A,B)'`);
+  }
+});
+
+registerTransition({
+  name: 'dip-to-black',
+  label: 'Dip to Black',
+  description: 'Fade the end out to black and the beginning back in',
+  handle: params => params.duration,
+  parameters: { duration: DURATION_PARAMETER },
+  buildFilterGraph: (context, params) => {
+    if (context.easing.curve === 'linear') {
+      return seamFilterGraph(context, 'transition=fadeblack');
+    }
+    // Out to black over the first half of the eased progress, in from it over the second
+    const progress = seamProgress(context);
+    const black = 'if(PLANE,128,16)';
+    return seamFilterGraph(context, `transition=custom:expr='if(lt(${progress},0.5),` +
+      `A+(${black}-A)*2*(${progress}),${black}+(B-${black})*(2*(${progress})-1))'`);
+  }
+});
+
+// Where the beginning (B) shows during each wipe, for progress E into it; the
+// edge travels the same way as in xfade's wipes
+const WIPE_REGIONS = {
+  left: E => `gte(X,W*(1-(${E})))`,
+  right: E => `lt(X,W*(${E}))`,
+  up: E => `gte(Y,H*(1-(${E})))`,
+  down: E => `lt(Y,H*(${E}))`
+};
+
+registerTransition({
+  name: 'wipe',
+  label: 'Wipe',
+  description: 'Wipe the beginning across the end',
+  handle: params => params.duration,
+  parameters: {
+    duration: DURATION_PARAMETER,
+    direction: {
+      type: 'enum',
+      values: ['left', 'right', 'up', 'down'],
+      default: 'left',
+      description: 'Direction the wipe edge travels'
+    }
+  },
+  buildFilterGraph: (context, params) => {
+    if (context.easing.curve === 'linear') {
+      return seamFilterGraph(context, `transition=wipe${params.direction}`);
+    }
+    const region = WIPE_REGIONS[params.direction](seamProgress(context));
+    return seamFilterGraph(context, `transition=custom:expr='if(${region},B,A)'`);
+  }
+});
+
+registerTransition({
+  name: 'luma-key',
+  label: 'Luma Key',
+  description: 'Reveal the beginning through the end\'s darkest areas first',
+  handle: params => params.duration,
+  parameters: {
+    duration: DURATION_PARAMETER,
+    invert: {
+      type: 'boolean',
+      default: false,
+      description: 'Reveal through the brightest areas first'
+    }
+  },
+  buildFilterGraph: (context, params) => {
+    // The luma threshold rises with the progress into the beginning
+    const luma = params.invert ? '(255-a0(X,Y))' : 'a0(X,Y)';
+    return seamFilterGraph(context,
+      `transition=custom:expr='if(lte(${luma},(${seamProgress(context)})*255),B,A)'`);
+  }
+});
+
+registerTransition({
+  name: 'morph',
+  label: 'Morph Transition',
+  description: 'Motion-compensated in-between frames from the end into the beginning',
+  parameters: {
+    frames: {
+      type: 'integer',
+      default: 5,
+      min: 1,
+      max: 60,
+      description: 'Frames at the end of the loop replaced by the morph'
+    }
+  },
+  buildFilterGraph: (context, params) => {
+    const morphFrames = Math.min(params.frames, Math.floor(context.frameCount / 2));
+    if (morphFrames < 1) {
+      throw new Error('Segment is too short for a morph transition');
+    }
+    return { filters: buildMorphFilters(context.frameRate, context.frameCount, morphFrames), mapsAudio: false };
+  }
+});
+
+module.exports = {
+  registerTransition,
+  unregisterTransition,
+  hasTransition,
+  listTransitions,
+  resolveTransitionParameters,
+  transitionHandle,
+  renderTransition,
+  loadTransitionPlugins,
+  listFailedPlugins
+};
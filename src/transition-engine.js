@@ -5,6 +5,9 @@
  * between the end and start of media loops.
  */
 
+const { listTransitions } = require('./services/transitionRegistry');
+const { parseEasing, fadeGains, videoBlendWeight } = require('./services/easingService');
+
 class TransitionEngine {
   /**
    * Initialize the transition engine
@@ -12,7 +15,7 @@ class TransitionEngine {
    */
   constructor(options = {}) {
     this.defaultCrossfadeDuration = options.defaultCrossfadeDuration || 0.5; // seconds
-    this.transitionTypes = ['crossfade', 'morph', 'dissolve', 'wipe', 'none'];
+    this.transitionTypes = listTransitions().map(transition => transition.name);
     this.audioEngine = new AudioTransitionEngine();
     this.videoEngine = new VideoTransitionEngine();
   }
@@ -56,7 +59,7 @@ class TransitionEngine {
     
     if (similarity > 0.9) {
       // Very similar content - can use a short crossfade or even a direct cut
-      transitionType = similarity > 0.95 ? 'none' : 'crossfade';
+      transitionType = similarity > 0.95 ? 'cut' : 'crossfade';
       duration = similarity > 0.95 ? 0 : 0.2;
     } else if (similarity > 0.7) {
       // Moderately similar - standard crossfade
@@ -113,6 +116,7 @@ class VideoTransitionEngine {
    */
   async applyTransitions(videoData, loopPoints, transitionPoints, parameters) {
     const { crossfadeDuration = 0.5, preserveAudioSync = true } = parameters;
+    const easing = parseEasing(parameters.easing);
     
     // Extract the loop portion of the video
     const loopDuration = loopPoints.end - loopPoints.start;
@@ -132,7 +136,7 @@ class VideoTransitionEngine {
       
       // Apply crossfade by blending frames
       for (let i = 0; i < crossfadeFrames; i++) {
-        const blendRatio = i / crossfadeFrames;
+        const blendRatio = videoBlendWeight(easing, i / crossfadeFrames);
         loopFrames[i] = this._blendFrames(endFrames[i], startFrames[i], blendRatio);
       }
     }
@@ -153,7 +157,8 @@ class VideoTransitionEngine {
       transitionMetadata: {
         type: 'crossfade',
         duration: crossfadeDuration,
-        frameCount: crossfadeFrames
+        frameCount: crossfadeFrames,
+        easing
       }
     };
   }
@@ -182,6 +187,7 @@ class AudioTransitionEngine {
    */
   async applyTransitions(audioData, loopPoints, transitionPoints, parameters) {
     const { crossfadeDuration = 0.5 } = parameters;
+    const easing = parseEasing(parameters.easing);
     
     // Extract the loop portion of the audio
     const loopDuration = loopPoints.end - loopPoints.start;
@@ -202,8 +208,8 @@ class AudioTransitionEngine {
       
       // Apply crossfade by blending samples
       for (let i = 0; i < crossfadeSamples; i++) {
-        const blendRatio = i / crossfadeSamples;
-        loopSamples[i] = this._blendSamples(endSamples[i], startSamples[i], blendRatio);
+        const gains = fadeGains(easing, i / crossfadeSamples);
+        loopSamples[i] = this._blendSamples(endSamples[i], startSamples[i], gains);
       }
     }
     
@@ -216,18 +222,18 @@ class AudioTransitionEngine {
       transitionMetadata: {
         type: 'crossfade',
         duration: crossfadeDuration,
-        sampleCount: crossfadeSamples
+        sampleCount: crossfadeSamples,
+        easing
       }
     };
   }
 
   /**
-   * Blend two audio samples together with specified ratio
+   * Mix two audio samples with the outgoing and incoming gains of the fade curve
    * @private
    */
-  _blendSamples(sampleA, sampleB, ratio) {
-    // Implementation for blending audio samples
-    return 0;
+  _blendSamples(sampleA, sampleB, gains) {
+    return sampleA * gains.out + sampleB * gains.in;
   }
 }
 
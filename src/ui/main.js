@@ -137,6 +137,9 @@ class LoopOptimizerUI {
     // Load user preferences if available
     this.loadUserPreferences();
     
+    // Offer every transition registered on the server
+    this.loadTransitionTypes();
+    
     console.log('LoopOptimizer UI initialized');
   }
   
@@ -553,14 +556,9 @@ class LoopOptimizerUI {
     const actualDuration = loopEnd - loopStart;
     
     // Simulated file size reduction
-    const compressionRatio = params.quality === 'low' ? 0.3 : 
-                            params.quality === 'medium' ? 0.5 : 0.7;
-    const optimizedSize = Math.round(file.size * compressionRatio);
-    
-    // Simulated quality score (higher for higher quality setting)
-    const qualityScoreBase = params.quality === 'low' ? 75 : 
-                            params.quality === 'medium' ? 85 : 92;
-    const seamlessScore = qualityScoreBase + Math.floor(Math.random() * 8);
+    const sizeFactor = params.quality === 'low' ? 0.3 : 
+                      params.quality === 'medium' ? 0.5 : 0.7;
+    const optimizedSize = Math.round(file.size * sizeFactor);
     
     return {
       timestamp: new Date().toISOString(),
@@ -588,10 +586,11 @@ class LoopOptimizerUI {
             type: params.preferredTransition === 'auto' ? 'crossfade' : params.preferredTransition
           }
         ],
+        // Seam quality is only measured on a real optimization run
         qualityMetrics: {
-          seamlessScore: seamlessScore,
-          compressionRatio: 1 - compressionRatio,
-          artifactRating: seamlessScore - 5
+          seamlessScore: null,
+          compressionRatio: null,
+          artifactRating: null
         }
       },
       processingTime: 3.7
@@ -628,7 +627,7 @@ class LoopOptimizerUI {
     // Update result info
     this.loopDurationResult.textContent = `${result.optimizedLoop.duration.toFixed(1)}s`;
     this.fileSizeResult.textContent = this.formatFileSize(result.optimizedLoop.fileSize);
-    this.seamlessScoreResult.textContent = `${Math.round(result.loopMetadata.qualityMetrics.seamlessScore)}%`;
+    this.seamlessScoreResult.textContent = this.formatPercent(result.loopMetadata.qualityMetrics.seamlessScore, 1);
     
     // Update details
     this.loopPointsResult.textContent = `${this.formatTime(result.loopMetadata.loopPoints.start)} - ${this.formatTime(result.loopMetadata.loopPoints.end)}`;
@@ -638,7 +637,7 @@ class LoopOptimizerUI {
     this.transitionResult.textContent = `${this.capitalizeFirst(transitionType)}${transitionDuration > 0 ? ` (${transitionDuration.toFixed(1)}s)` : ''}`;
     
     this.originalSizeResult.textContent = this.formatFileSize(result.mediaInfo.originalSize);
-    this.compressionRatioResult.textContent = `${Math.round(result.loopMetadata.qualityMetrics.compressionRatio * 100)}%`;
+    this.compressionRatioResult.textContent = this.formatPercent(result.loopMetadata.qualityMetrics.compressionRatio, 100);
     
     // Show result card
     this.resultCard.classList.remove('hidden');
@@ -949,6 +948,43 @@ class LoopOptimizerUI {
     }
   }
   
+  /**
+   * Populate the transition select from the server's transition registry
+   * 
+   * Auto-detect and ping-pong aren't seam transitions, so they are kept; the
+   * static options stay in place if the registry can't be reached.
+   */
+  async loadTransitionTypes() {
+    try {
+      const response = await fetch('/api/v1/transitions');
+      const { transitions } = await response.json();
+      if (!Array.isArray(transitions) || transitions.length === 0) {
+        return;
+      }
+      
+      const selected = this.transitionTypeSelect.value;
+      const options = [
+        { value: 'auto', label: 'Auto-detect (Recommended)' },
+        ...transitions.map(transition => ({ value: transition.name, label: transition.label })),
+        { value: 'pingpong', label: 'Ping-pong (Forward + Reverse)' }
+      ];
+      
+      this.transitionTypeSelect.innerHTML = '';
+      options.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        this.transitionTypeSelect.appendChild(option);
+      });
+      
+      if (options.some(option => option.value === selected)) {
+        this.transitionTypeSelect.value = selected;
+      }
+    } catch (error) {
+      console.warn('Could not load transitions, using defaults:', error);
+    }
+  }
+  
   /**
    * Save API settings
    */
@@ -1261,7 +1297,20 @@ class LoopOptimizerUI {
     const remainingSeconds = seconds % 60;
     return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toFixed(2).padStart(5, '0')}`;
   }
-  
+
+  /**
+   * Format a metric as a percentage, or 'n/a' when it was not measured
+   * @param {number|null} value - Metric value
+   * @param {number} scale - Multiplier that converts the value to percent
+   * @returns {string} - Formatted percentage
+   */
+  formatPercent(value, scale) {
+    if (value === null || value === undefined) {
+      return 'n/a';
+    }
+    return `${Math.round(value * scale)}%`;
+  }
+
   /**
    * Capitalize first letter of a string
    * @param {string} str - Input string
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  hashFile,
+  computeCacheKey,
+  isValidCacheKey,
+  getCachedAnalysis,
+  listCachedAnalyses,
+  storeAnalysis,
+  invalidateAnalysis,
+  ANALYSIS_VERSION
+} = require('../../src/services/analysisCacheService');
+
+const CONTENT_HASH = 'a'.repeat(64);
+
+describe('computeCacheKey', () => {
+  test('is the content hash followed by a hash of the version and options', () => {
+    const optionsHash = crypto.createHash('sha256')
+      .update(JSON.stringify({ version: ANALYSIS_VERSION, options: { frameSampleRate: '2' } }))
+      .digest('hex');
+
+    expect(computeCacheKey(CONTENT_HASH, { frameSampleRate: '2' })).toBe(`${CONTENT_HASH}-${optionsHash}`);
+  });
+
+  test('ignores option order and the cache switch', () => {
+    const key = computeCacheKey(CONTENT_HASH, { useAI: 'false', frameSampleRate: '2' });
+
+    expect(computeCacheKey(CONTENT_HASH, { frameSampleRate: '2', useAI: 'false' })).toBe(key);
+    expect(computeCacheKey(CONTENT_HASH, { frameSampleRate: '2', useAI: 'false', cache: 'true' })).toBe(key);
+  });
+
+  test('changes with any analysis option', () => {
+    expect(computeCacheKey(CONTENT_HASH, { frameSampleRate: '2' }))
+      .not.toBe(computeCacheKey(CONTENT_HASH, { frameSampleRate: '3' }));
+    expect(computeCacheKey(CONTENT_HASH, {})).toBe(computeCacheKey(CONTENT_HASH, undefined));
+  });
+});
+
+describe('isValidCacheKey', () => {
+  test('accepts cache keys and bare content hashes', () => {
+    expect(isValidCacheKey(computeCacheKey(CONTENT_HASH, {}))).toBe(true);
+    expect(isValidCacheKey(CONTENT_HASH)).toBe(true);
+  });
+
+  test('rejects anything that could escape the cache directory', () => {
+    expect(isValidCacheKey('../secrets')).toBe(false);
+    expect(isValidCacheKey(`${CONTENT_HASH}/../x`)).toBe(false);
+    expect(isValidCacheKey('A'.repeat(64))).toBe(false);
+  });
+});
+
+describe('analysis cache storage', () => {
+  const originalCwd = process.cwd();
+  let workDir;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-cache-test-'));
+    process.chdir(workDir);
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('hashes file contents', async () => {
+    fs.writeFileSync('media.bin', 'loop');
+
+    expect(await hashFile('media.bin')).toBe(crypto.createHash('sha256').update('loop').digest('hex'));
+  });
+
+  test('stores, lists and looks up analyses with the algorithm version', async () => {
+    const key = computeCacheKey(CONTENT_HASH, { frameSampleRate: '2' });
+    await storeAnalysis(key, CONTENT_HASH, { frameSampleRate: '2' }, { recommendedLoopPoints: [] });
+
+    const entry = await getCachedAnalysis(key);
+    expect(entry).toMatchObject({
+      key,
+      contentHash: CONTENT_HASH,
+      version: ANALYSIS_VERSION,
+      analysis: { recommendedLoopPoints: [] }
+    });
+    expect(await listCachedAnalyses(CONTENT_HASH)).toEqual([
+      { key, options: { frameSampleRate: '2' }, createdAt: entry.createdAt }
+    ]);
+    expect(await getCachedAnalysis(computeCacheKey(CONTENT_HASH, {}))).toBeNull();
+  });
+
+  test('invalidates one analysis by key or every analysis of a file by content hash', async () => {
+    const first = computeCacheKey(CONTENT_HASH, { frameSampleRate: '1' });
+    const second = computeCacheKey(CONTENT_HASH, { frameSampleRate: '2' });
+    await storeAnalysis(first, CONTENT_HASH, {}, {});
+    await storeAnalysis(second, CONTENT_HASH, {}, {});
+
+    expect(await invalidateAnalysis(first)).toBe(1);
+    expect(await getCachedAnalysis(first)).toBeNull();
+    expect(await invalidateAnalysis(CONTENT_HASH)).toBe(1);
+    expect(await listCachedAnalyses(CONTENT_HASH)).toEqual([]);
+  });
+
+  test('is empty before anything is cached', async () => {
+    expect(await listCachedAnalyses(CONTENT_HASH)).toEqual([]);
+    expect(await invalidateAnalysis(CONTENT_HASH)).toBe(0);
+  });
+});
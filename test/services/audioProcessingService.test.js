@@ -0,0 +1,96 @@
+const { spawnSync } = require('child_process');
+const { planLoopCrossfade, loopCrossfadeFilters } = require('../../src/services/audioProcessingService');
+
+const SAMPLE_RATE = 8000;
+
+const hasFfmpeg = spawnSync('ffmpeg', ['-version']).status === 0;
+
+/**
+ * Run mono float samples through loop crossfade filters and return the output samples
+ */
+function renderCrossfade(samples, crossfade) {
+  const filters = [
+    '[0:a]anull[source]',
+    ...loopCrossfadeFilters('source', 'a', { sampleRate: SAMPLE_RATE, ...crossfade }, { curve: 'linear' })
+  ];
+  const result = spawnSync('ffmpeg', [
+    '-v', 'error',
+    '-f', 'f32le', '-ar', String(SAMPLE_RATE), '-ac', '1', '-i', 'pipe:0',
+    '-filter_complex', filters.join(';'),
+    '-map', '[a]',
+    '-f', 'f32le',
+    'pipe:1'
+  ], { input: Buffer.from(samples.buffer) });
+
+  if (result.status !== 0) {
+    throw new Error(result.stderr.toString());
+  }
+  const output = result.stdout;
+  return new Float32Array(output.buffer, output.byteOffset, output.length / 4);
+}
+
+describe('planLoopCrossfade', () => {
+  test('overlaps the audio past the loop end onto its start when the source continues', () => {
+    expect(planLoopCrossfade({ startTime: 1 }, SAMPLE_RATE, 2, 10, 0.25)).toEqual({
+      sampleRate: SAMPLE_RATE,
+      loopSamples: 16000,
+      fadeSamples: 2000,
+      direction: 'postroll',
+      startSample: 8000,
+      firstSample: 8000
+    });
+  });
+
+  test('overlaps the audio before the loop start onto its end when the source ends with the loop', () => {
+    const crossfade = planLoopCrossfade({ startTime: 8 }, SAMPLE_RATE, 2, 10, 0.25);
+
+    expect(crossfade.direction).toBe('preroll');
+    expect(crossfade.fadeSamples).toBe(2000);
+    expect(crossfade.startSample).toBe(64000);
+    expect(crossfade.firstSample).toBe(62000);
+  });
+
+  test('shortens the fade to the audio available and to a quarter of the loop', () => {
+    expect(planLoopCrossfade({ startTime: 0 }, SAMPLE_RATE, 2, 2.1, 0.25).fadeSamples).toBe(800);
+    expect(planLoopCrossfade({ startTime: 1 }, SAMPLE_RATE, 1, 10, 2).fadeSamples).toBe(2000);
+    expect(planLoopCrossfade({ startTime: 0 }, SAMPLE_RATE, 2, 2, 0.25).fadeSamples).toBe(0);
+  });
+
+  test('starts at the snapped sample only when it was snapped at the same sample rate', () => {
+    expect(planLoopCrossfade({ startTime: 1, startSample: 8010, sampleRate: SAMPLE_RATE }, SAMPLE_RATE, 2, 10, 0.25)
+      .startSample).toBe(8010);
+    expect(planLoopCrossfade({ startTime: 1, startSample: 44110, sampleRate: 44100 }, SAMPLE_RATE, 2, 10, 0.25)
+      .startSample).toBe(8000);
+  });
+});
+
+(hasFfmpeg ? describe : describe.skip)('loopCrossfadeFilters', () => {
+  const loopSamples = 4000;
+  const fadeSamples = 1000;
+  // A ramp makes every sample distinct, so misplaced samples show up
+  const source = Float32Array.from({ length: loopSamples + fadeSamples }, (_, i) => i / (loopSamples + fadeSamples));
+
+  test.each(['postroll', 'preroll'])('returns exactly the loop length with a %s seam', (direction) => {
+    expect(renderCrossfade(source, { loopSamples, fadeSamples, direction }).length).toBe(loopSamples);
+  });
+
+  test('leaves the middle untouched and wraps onto the audio that follows the loop end', () => {
+    const output = renderCrossfade(source, { loopSamples, fadeSamples, direction: 'postroll' });
+
+    expect(output[0]).toBeCloseTo(source[loopSamples], 5);
+    expect(output[fadeSamples]).toBeCloseTo(source[fadeSamples], 5);
+    expect(output[loopSamples - 1]).toBeCloseTo(source[loopSamples - 1], 5);
+  });
+
+  test('ends on the audio that precedes the loop start with a preroll seam', () => {
+    const output = renderCrossfade(source, { loopSamples, fadeSamples, direction: 'preroll' });
+    // Gains are evaluated once per 64-sample frame, so the last frame is still mixed slightly
+    const lastGain = Math.floor((fadeSamples - 1) / 64) * 64 / fadeSamples;
+
+    expect(output[0]).toBeCloseTo(source[fadeSamples], 5);
+    expect(output[loopSamples - 1]).toBeCloseTo(
+      lastGain * source[fadeSamples - 1] + (1 - lastGain) * source[loopSamples + fadeSamples - 1],
+      5
+    );
+  });
+});
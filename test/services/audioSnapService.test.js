@@ -0,0 +1,45 @@
+const { findBestSnapPair } = require('../../src/services/audioSnapService');
+
+const SAMPLE_RATE = 1000;
+
+/**
+ * Mono region of a sine wave starting at a given source sample
+ */
+function sineRegion(firstSample, length, period, phase = 0) {
+  const samples = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    samples[i] = Math.sin(2 * Math.PI * (firstSample + i) / period + phase);
+  }
+  return { firstSample, channelData: [samples] };
+}
+
+describe('findBestSnapPair', () => {
+  test('snaps both loop points to matching rising zero crossings', () => {
+    // Rising crossings every 100 samples: at 100, 200, 300...
+    const startRegion = sineRegion(90, 30, 100);
+    const endRegion = sineRegion(490, 30, 100);
+
+    const result = findBestSnapPair(startRegion, endRegion, 103, 497, SAMPLE_RATE);
+
+    expect(result).toEqual({ startSample: 100, endSample: 500, snapped: true });
+  });
+
+  test('keeps the requested points when every pair crosses in opposite directions', () => {
+    // Only a rising crossing near the start (at 100) and a falling one near the end (at 450)
+    const startRegion = sineRegion(90, 20, 100);
+    const endRegion = sineRegion(440, 20, 100);
+
+    const result = findBestSnapPair(startRegion, endRegion, 103, 447, SAMPLE_RATE);
+
+    expect(result).toEqual({ startSample: 103, endSample: 447, snapped: false });
+  });
+
+  test('keeps the requested points when a region has no zero crossing', () => {
+    const startRegion = { firstSample: 0, channelData: [new Float32Array(20).fill(0.5)] };
+    const endRegion = sineRegion(490, 20, 100);
+
+    const result = findBestSnapPair(startRegion, endRegion, 10, 500, SAMPLE_RATE);
+
+    expect(result).toEqual({ startSample: 10, endSample: 500, snapped: false });
+  });
+});
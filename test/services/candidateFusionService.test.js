@@ -0,0 +1,60 @@
+const { fuseLoopCandidates } = require('../../src/services/candidateFusionService');
+
+const WEIGHTS = { visual: 0.5, audio: 0.3, rhythm: 0.2, scene: 0, silence: 0, ai: 0 };
+
+/**
+ * Loop candidate from one analysis signal
+ */
+function candidate(signal, startTime, endTime, confidence) {
+  return { startTime, endTime, confidence, signal, reason: `${signal} match` };
+}
+
+describe('fuseLoopCandidates', () => {
+  test('merges candidates for the same range and scores their signals together', () => {
+    const fused = fuseLoopCandidates([
+      candidate('visual', 1, 5, 0.8),
+      candidate('audio', 1.2, 5.1, 0.6),
+      candidate('visual', 10, 14, 0.9)
+    ], null, { weights: WEIGHTS });
+
+    expect(fused).toHaveLength(2);
+    // Only visual and audio produced candidates, so they share the whole score
+    expect(fused[0].startTime).toBe(1);
+    expect(fused[0].confidence).toBeCloseTo((0.5 * 0.8 + 0.3 * 0.6) / 0.8, 6);
+    expect(fused[0].signals).toEqual(['visual', 'audio']);
+    expect(fused[0].reason).toBe('visual match + audio match');
+    expect(fused[1].confidence).toBeCloseTo(0.5 * 0.9 / 0.8, 6);
+  });
+
+  test('keeps the strongest weighted member as the time range', () => {
+    const [fused] = fuseLoopCandidates([
+      candidate('rhythm', 2, 6, 1),
+      candidate('visual', 2.3, 6.3, 0.9)
+    ], null, { weights: WEIGHTS });
+
+    expect(fused.startTime).toBe(2.3);
+    expect(fused).not.toHaveProperty('signal');
+  });
+
+  test('counts silence only when both loop points fall inside it', () => {
+    const silences = [{ start: 0.5, end: 1.5, confidence: 0.5 }, { start: 4.5, end: 5.5, confidence: 1 }];
+    const fused = fuseLoopCandidates([
+      candidate('visual', 1, 5, 1),
+      candidate('visual', 1, 8, 1)
+    ], silences, { weights: { ...WEIGHTS, silence: 0.5 } });
+
+    const inSilence = fused.find(loop => loop.endTime === 5);
+    const outOfSilence = fused.find(loop => loop.endTime === 8);
+    expect(inSilence.scoreBreakdown.silence.confidence).toBe(0.5);
+    expect(outOfSilence.scoreBreakdown.silence.confidence).toBe(0);
+    expect(inSilence.confidence).toBeGreaterThan(outOfSilence.confidence);
+  });
+
+  test('returns at most maxResults, best first', () => {
+    const candidates = [1, 2, 3, 4].map(i => candidate('visual', i * 10, i * 10 + 4, i / 10));
+
+    const fused = fuseLoopCandidates(candidates, null, { weights: WEIGHTS, maxResults: 2 });
+
+    expect(fused.map(loop => loop.startTime)).toEqual([40, 30]);
+  });
+});
@@ -0,0 +1,78 @@
+const { parseEasing, createEasing } = require('../../src/services/easingService');
+
+describe('parseEasing', () => {
+  test('defaults to linear', () => {
+    expect(parseEasing(undefined)).toEqual({ curve: 'linear' });
+    expect(parseEasing('')).toEqual({ curve: 'linear' });
+  });
+
+  test('parses curve names case-insensitively', () => {
+    expect(parseEasing(' Equal-Power ')).toEqual({ curve: 'equal-power' });
+    expect(parseEasing({ curve: 's-curve' })).toEqual({ curve: 's-curve' });
+  });
+
+  test('parses bezier control points', () => {
+    expect(parseEasing('cubic-bezier(0.42, 0, 0.58, 1)')).toEqual({
+      curve: 'bezier',
+      controlPoints: [0.42, 0, 0.58, 1]
+    });
+    expect(parseEasing({ curve: 'bezier', controlPoints: [0, 0.5, 1, 0.5] }).controlPoints).toEqual([0, 0.5, 1, 0.5]);
+  });
+
+  test('rejects unknown curves and invalid control points', () => {
+    expect(() => parseEasing('bounce')).toThrow('Unknown easing curve');
+    expect(() => parseEasing('bezier(0.4, 0, 0.6)')).toThrow('four numbers');
+    expect(() => parseEasing('bezier(1.2, 0, 0.6, 1)')).toThrow('between 0 and 1');
+    expect(() => parseEasing('bezier(a, 0, 0.6, 1)')).toThrow('four numbers');
+  });
+});
+
+describe('createEasing', () => {
+  test.each(['linear', 'equal-power', 'sine', 's-curve', 'logarithmic'])('%s runs from 0 to 1', (curve) => {
+    const gain = createEasing({ curve });
+
+    expect(gain(0)).toBeCloseTo(0, 9);
+    expect(gain(1)).toBeCloseTo(1, 9);
+  });
+
+  test('clamps progress outside 0-1', () => {
+    const gain = createEasing({ curve: 'sine' });
+
+    expect(gain(-1)).toBe(0);
+    expect(gain(2)).toBeCloseTo(1, 9);
+  });
+
+  test('equal-power gains keep the summed power constant', () => {
+    const gain = createEasing({ curve: 'equal-power' });
+
+    for (const t of [0.1, 0.3, 0.5, 0.9]) {
+      expect(gain(t) ** 2 + gain(1 - t) ** 2).toBeCloseTo(1, 9);
+    }
+  });
+
+  test('bezier with linear control points is the identity', () => {
+    const gain = createEasing({ curve: 'bezier', controlPoints: [0.25, 0.25, 0.75, 0.75] });
+
+    for (const t of [0, 0.2, 0.5, 0.8, 1]) {
+      expect(gain(t)).toBeCloseTo(t, 6);
+    }
+  });
+
+  test('bezier ease-in-out is symmetric and matches the CSS curve', () => {
+    const gain = createEasing({ curve: 'bezier', controlPoints: [0.42, 0, 0.58, 1] });
+
+    expect(gain(0.5)).toBeCloseTo(0.5, 6);
+    expect(gain(0.25) + gain(0.75)).toBeCloseTo(1, 6);
+    // CSS ease-in-out at x = 0.25
+    expect(gain(0.25)).toBeCloseTo(0.1292, 3);
+  });
+
+  test('bezier inverts x(s) where its slope vanishes', () => {
+    // x1 = x2 = 0 gives x'(0) = 0, where Newton's method alone would stall
+    const gain = createEasing({ curve: 'bezier', controlPoints: [0, 0, 0, 1] });
+    const values = [0.01, 0.1, 0.5, 0.9].map(gain);
+
+    expect(values.every(value => value >= 0 && value <= 1)).toBe(true);
+    expect(values).toEqual([...values].sort((a, b) => a - b));
+  });
+});
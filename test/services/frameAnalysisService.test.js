@@ -0,0 +1,25 @@
+const { parseFrameAnalysisOptions } = require('../../src/services/frameAnalysisService');
+
+describe('parseFrameAnalysisOptions', () => {
+  test('defaults when unset', () => {
+    expect(parseFrameAnalysisOptions({})).toEqual({ sampleRate: 1, motionThreshold: 0.1 });
+    expect(parseFrameAnalysisOptions({ frameSampleRate: '', motionThreshold: '' }))
+      .toEqual({ sampleRate: 1, motionThreshold: 0.1 });
+  });
+
+  test('parses numeric strings into numbers', () => {
+    expect(parseFrameAnalysisOptions({ frameSampleRate: '2.5', motionThreshold: '0.2' }))
+      .toEqual({ sampleRate: 2.5, motionThreshold: 0.2 });
+  });
+
+  test('never passes request text through to the filter graph', () => {
+    expect(parseFrameAnalysisOptions({ frameSampleRate: "4,drawtext=text='x'" }).sampleRate).toBe(4);
+  });
+
+  test('rejects values that are not positive numbers', () => {
+    expect(() => parseFrameAnalysisOptions({ frameSampleRate: 'abc' })).toThrow('frameSampleRate');
+    expect(() => parseFrameAnalysisOptions({ frameSampleRate: '0' })).toThrow('frameSampleRate');
+    expect(() => parseFrameAnalysisOptions({ frameSampleRate: 'Infinity' })).toThrow('frameSampleRate');
+    expect(() => parseFrameAnalysisOptions({ motionThreshold: '-1' })).toThrow('motionThreshold');
+  });
+});
@@ -0,0 +1,41 @@
+const { selectNonOverlapping } = require('../../src/services/loopMiningService');
+
+const OPTIONS = { maxLoops: 10, minConfidence: 0.3, minGap: 0 };
+
+/**
+ * Loop candidate over a time range
+ */
+function loop(startTime, endTime, confidence) {
+  return { startTime, endTime, confidence };
+}
+
+describe('selectNonOverlapping', () => {
+  test('keeps the more confident of two overlapping loops', () => {
+    const selected = selectNonOverlapping([loop(0, 4, 0.5), loop(2, 6, 0.9), loop(6, 8, 0.4)], OPTIONS);
+
+    expect(selected).toEqual([loop(2, 6, 0.9), loop(6, 8, 0.4)]);
+  });
+
+  test('keeps loops apart by at least the minimum gap', () => {
+    const selected = selectNonOverlapping([loop(0, 4, 0.9), loop(4.5, 8, 0.8), loop(5, 9, 0.7)], {
+      ...OPTIONS,
+      minGap: 1
+    });
+
+    expect(selected).toEqual([loop(0, 4, 0.9), loop(5, 9, 0.7)]);
+  });
+
+  test('stops at the loop limit and the minimum confidence', () => {
+    const candidates = [loop(0, 1, 0.9), loop(2, 3, 0.8), loop(4, 5, 0.7), loop(6, 7, 0.2)];
+
+    expect(selectNonOverlapping(candidates, { ...OPTIONS, maxLoops: 2 })).toHaveLength(2);
+    expect(selectNonOverlapping(candidates, OPTIONS)).toHaveLength(3);
+  });
+
+  test('does not reorder the input', () => {
+    const candidates = [loop(0, 1, 0.4), loop(2, 3, 0.9)];
+    selectNonOverlapping(candidates, OPTIONS);
+
+    expect(candidates[0].confidence).toBe(0.4);
+  });
+});
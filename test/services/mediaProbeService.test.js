@@ -0,0 +1,28 @@
+const { parseFrameRate, nearestStandardFrameRate } = require('../../src/services/mediaProbeService');
+
+describe('parseFrameRate', () => {
+  test('parses ffprobe rationals', () => {
+    expect(parseFrameRate('30000/1001')).toBeCloseTo(29.97, 2);
+    expect(parseFrameRate('25/1')).toBe(25);
+  });
+
+  test('parses decimal rates', () => {
+    expect(parseFrameRate('23.976')).toBe(23.976);
+    expect(parseFrameRate(60)).toBe(60);
+  });
+
+  test('returns null for missing, zero and malformed rates', () => {
+    expect(parseFrameRate(undefined)).toBeNull();
+    expect(parseFrameRate(null)).toBeNull();
+    expect(parseFrameRate('0/0')).toBeNull();
+    expect(parseFrameRate('30/0')).toBeNull();
+    expect(parseFrameRate('fast')).toBeNull();
+  });
+});
+
+describe('nearestStandardFrameRate', () => {
+  test('snaps measured rates to the closest standard rate', () => {
+    expect(nearestStandardFrameRate(29.81)).toBe(29.97);
+    expect(nearestStandardFrameRate(24.3)).toBe(24);
+  });
+});
@@ -0,0 +1,35 @@
+const { spawnSync } = require('child_process');
+const { buildMorphFilters } = require('../../src/services/morphService');
+
+const WIDTH = 64;
+const HEIGHT = 48;
+const FRAME_RATE = 25;
+
+const hasFfmpeg = spawnSync('ffmpeg', ['-version']).status === 0;
+
+/**
+ * Run a filter graph over a generated test pattern and count the frames it outputs
+ */
+function countRenderedFrames(frameCount, filters) {
+  const result = spawnSync('ffmpeg', [
+    '-v', 'error',
+    '-f', 'lavfi',
+    '-i', `testsrc=size=${WIDTH}x${HEIGHT}:rate=${FRAME_RATE}:duration=${frameCount / FRAME_RATE}`,
+    '-filter_complex', filters.join(';'),
+    '-map', '[v]',
+    '-pix_fmt', 'gray',
+    '-f', 'rawvideo',
+    'pipe:1'
+  ], { maxBuffer: 64 * 1024 * 1024 });
+
+  if (result.status !== 0) {
+    throw new Error(result.stderr.toString());
+  }
+  return result.stdout.length / (WIDTH * HEIGHT);
+}
+
+(hasFfmpeg ? describe : describe.skip)('buildMorphFilters', () => {
+  test.each([1, 5, 12])('keeps the loop length with %i morph frames', (morphFrames) => {
+    expect(countRenderedFrames(50, buildMorphFilters(FRAME_RATE, 50, morphFrames))).toBe(50);
+  });
+});
@@ -0,0 +1,46 @@
+const { planTransitionHandle, withLoopEndSample } = require('../../src/services/optimizationService');
+
+describe('planTransitionHandle', () => {
+  const sourceInfo = { duration: 10, frameRate: 25 };
+
+  test('takes the footage after the loop end when there is enough', () => {
+    expect(planTransitionHandle(0.4, 2, 6, sourceInfo)).toEqual({ direction: 'postroll', duration: 0.4 });
+  });
+
+  test('takes the footage before the loop start when more of it is available', () => {
+    expect(planTransitionHandle(0.4, 2, 9.8, sourceInfo)).toEqual({ direction: 'preroll', duration: 0.4 });
+  });
+
+  test('shortens the handle to the footage available in whole frames', () => {
+    expect(planTransitionHandle(0.4, 0, 9.7, sourceInfo)).toEqual({ direction: 'postroll', duration: 0.28 });
+    // 12.5 frames at 25 fps
+    expect(planTransitionHandle(0.5, 2, 6, sourceInfo).duration).toBe(0.48);
+    expect(planTransitionHandle(0.5, 2, 6, { duration: 10, frameRate: 30 }).duration).toBe(0.5);
+  });
+
+  test('is empty when the loop spans the whole source', () => {
+    expect(planTransitionHandle(0.4, 0, 10, sourceInfo)).toEqual({ direction: 'postroll', duration: 0 });
+  });
+});
+
+describe('withLoopEndSample', () => {
+  test('moves the end and its offset from the requested end together', () => {
+    const snapped = {
+      sampleRate: 48000,
+      startSample: 48010,
+      endSample: 143990,
+      startTime: 48010 / 48000,
+      endTime: 143990 / 48000,
+      startOffset: 10,
+      endOffset: -10,
+      snapped: true
+    };
+
+    expect(withLoopEndSample(snapped, 144010)).toEqual({
+      ...snapped,
+      endSample: 144010,
+      endTime: 144010 / 48000,
+      endOffset: 10
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildPingPongFilters } = require('../../src/services/pingPongService');
+
+const WIDTH = 64;
+const HEIGHT = 48;
+const FRAME_RATE = 25;
+const SAMPLE_RATE = 8000;
+
+const hasFfmpeg = spawnSync('ffmpeg', ['-version']).status === 0;
+
+/**
+ * Run a ping-pong graph over a generated clip and count the video frames and audio samples it outputs
+ */
+function renderPingPong(frameCount, pingPong) {
+  const duration = frameCount / FRAME_RATE;
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pingpong-test-'));
+  const videoPath = path.join(outputDir, 'video.raw');
+  const audioPath = path.join(outputDir, 'audio.raw');
+  const hasAudio = pingPong.outputs.includes('-map [a]');
+
+  try {
+    const result = spawnSync('ffmpeg', [
+      '-v', 'error',
+      '-f', 'lavfi', '-i', `testsrc=size=${WIDTH}x${HEIGHT}:rate=${FRAME_RATE}:duration=${duration}`,
+      '-f', 'lavfi', '-i', `sine=sample_rate=${SAMPLE_RATE}:duration=${duration}`,
+      '-filter_complex', pingPong.filters.join(';').replace(/\[0:a\]/g, '[1:a]'),
+      '-map', '[v]', '-pix_fmt', 'gray', '-f', 'rawvideo', videoPath,
+      ...(hasAudio ? ['-map', '[a]', '-ac', '1', '-f', 's16le', audioPath] : [])
+    ]);
+
+    if (result.status !== 0) {
+      throw new Error(result.stderr.toString());
+    }
+    return {
+      frames: fs.statSync(videoPath).size / (WIDTH * HEIGHT),
+      samples: hasAudio ? fs.statSync(audioPath).size / 2 : 0
+    };
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+}
+
+describe('buildPingPongFilters', () => {
+  const clip = { frameRate: FRAME_RATE, frameCount: 50, sampleRate: SAMPLE_RATE };
+
+  test('lasts the forward clip plus its reverse without repeating the turning frames', () => {
+    const pingPong = buildPingPongFilters(clip);
+
+    expect(pingPong.duration).toBeCloseTo(98 / FRAME_RATE);
+    expect(pingPong.filters[1]).toContain('trim=start_frame=1:end_frame=49');
+    expect(pingPong.audioStrategy).toBe('reverse');
+    expect(pingPong.outputs).toEqual(['-map [v]', '-map [a]']);
+  });
+
+  test('crossfades the repeated audio to exactly the loop length', () => {
+    const pingPong = buildPingPongFilters(clip, { audioStrategy: 'crossfade' });
+    const loopSamples = Math.round(98 / FRAME_RATE * SAMPLE_RATE);
+    // A quarter of the two-second clip, capped at half a second
+    const fadeSamples = 0.5 * SAMPLE_RATE;
+
+    expect(pingPong.filters.join(';')).toContain(`atrim=end_sample=${loopSamples + fadeSamples}[cycled]`);
+    expect(pingPong.filters.join(';')).toContain(`atrim=start_sample=${loopSamples}:end_sample=${loopSamples + fadeSamples}`);
+  });
+
+  test('keeps the loop silent without audio or with the mute strategy', () => {
+    expect(buildPingPongFilters({ ...clip, sampleRate: null }).audioStrategy).toBe('mute');
+    const muted = buildPingPongFilters(clip, { audioStrategy: 'mute' });
+    expect(muted.audioStrategy).toBe('mute');
+    expect(muted.outputs).toEqual(['-map [v]']);
+  });
+
+  test('rejects eased playback with reversed audio unless the clip is silent', () => {
+    expect(() => buildPingPongFilters(clip, { ease: 0.5 })).toThrow('reversed audio');
+    expect(buildPingPongFilters({ ...clip, sampleRate: null }, { ease: 0.5 }).duration).toBeCloseTo(98 / FRAME_RATE);
+  });
+
+  test('rejects unknown audio strategies and clips under three frames', () => {
+    expect(() => buildPingPongFilters(clip, { audioStrategy: 'loop' })).toThrow('Unknown ping-pong audio strategy');
+    expect(() => buildPingPongFilters({ ...clip, frameCount: 2 })).toThrow('too short');
+  });
+});
+
+(hasFfmpeg ? describe : describe.skip)('buildPingPongFilters rendering', () => {
+  test.each([
+    ['reverse', 0],
+    ['crossfade', 0],
+    ['crossfade', 0.5],
+    ['mute', 0.9]
+  ])('renders %s audio with ease %s at the planned length', (audioStrategy, ease) => {
+    const pingPong = buildPingPongFilters({ frameRate: FRAME_RATE, frameCount: 50, sampleRate: SAMPLE_RATE }, {
+      audioStrategy,
+      ease
+    });
+    const rendered = renderPingPong(50, pingPong);
+
+    expect(rendered.frames).toBe(98);
+    if (audioStrategy !== 'mute') {
+      expect(rendered.samples).toBe(Math.round(pingPong.duration * SAMPLE_RATE));
+    }
+  });
+});
@@ -0,0 +1,37 @@
+const { parseRegions } = require('../../src/services/regionOfInterestService');
+
+const RECT = { x: 0.1, y: 0.2, width: 0.5, height: 0.4 };
+
+describe('parseRegions', () => {
+  test('returns null when unset or empty', () => {
+    expect(parseRegions(undefined)).toBeNull();
+    expect(parseRegions('')).toBeNull();
+    expect(parseRegions({ include: [], exclude: [] })).toBeNull();
+  });
+
+  test('treats a single rectangle as the one included region', () => {
+    expect(parseRegions(RECT)).toEqual({ include: [RECT], exclude: [] });
+  });
+
+  test('treats an array as included regions', () => {
+    expect(parseRegions([RECT, { x: 0, y: 0, width: 1, height: 0.1 }]).include).toHaveLength(2);
+  });
+
+  test('parses JSON strings with include and exclude lists', () => {
+    const value = JSON.stringify({ exclude: [{ x: '0.8', y: '0', width: '0.2', height: '0.1' }] });
+    expect(parseRegions(value)).toEqual({
+      include: [],
+      exclude: [{ x: 0.8, y: 0, width: 0.2, height: 0.1 }]
+    });
+  });
+
+  test('rejects rectangles outside the frame or without area', () => {
+    expect(() => parseRegions({ x: 0.6, y: 0, width: 0.5, height: 0.5 })).toThrow('Invalid region');
+    expect(() => parseRegions({ x: 0, y: 0, width: 0, height: 0.5 })).toThrow('Invalid region');
+    expect(() => parseRegions({ x: 0, y: 0, width: 'wide', height: 0.5 })).toThrow('Invalid region');
+  });
+
+  test('rejects malformed JSON', () => {
+    expect(() => parseRegions('{x: 0')).toThrow();
+  });
+});
@@ -0,0 +1,56 @@
+const { parseTargetDuration, planRetime } = require('../../src/services/retimeService');
+
+describe('parseTargetDuration', () => {
+  test('returns null when unset', () => {
+    expect(parseTargetDuration(undefined)).toBeNull();
+    expect(parseTargetDuration('')).toBeNull();
+  });
+
+  test('parses exact seconds', () => {
+    expect(parseTargetDuration('6')).toEqual({ exact: 6 });
+    expect(parseTargetDuration(2.5)).toEqual({ exact: 2.5 });
+  });
+
+  test('parses "multiple of" targets', () => {
+    expect(parseTargetDuration('multiple of 2')).toEqual({ multiple: 2 });
+    expect(parseTargetDuration({ multiple: 0.5 })).toEqual({ multiple: 0.5 });
+  });
+
+  test('rejects non-positive and non-numeric targets', () => {
+    expect(() => parseTargetDuration('0')).toThrow('Invalid target duration');
+    expect(() => parseTargetDuration('multiple of x')).toThrow('Invalid target duration');
+    expect(() => parseTargetDuration({ exact: -1 })).toThrow('Invalid target duration');
+  });
+});
+
+describe('planRetime', () => {
+  test('leaves loops that already fit alone', () => {
+    expect(planRetime(4, { exact: 4 })).toMatchObject({ method: 'none', speed: 1, frameDelta: 0 });
+  });
+
+  test('drops or duplicates a few frames when the target is a whole number of frames', () => {
+    // 98 frames at 25 fps to 100 frames
+    expect(planRetime(3.92, { exact: 4 }, { frameRate: 25 })).toMatchObject({
+      method: 'frames',
+      targetDuration: 4,
+      frameDelta: 2
+    });
+  });
+
+  test('changes speed when frames alone cannot land on the target', () => {
+    const plan = planRetime(3.85, { exact: 4 }, { frameRate: 25 });
+    expect(plan.method).toBe('speed');
+    expect(plan.speed).toBeCloseTo(0.9625, 6);
+    expect(plan.frameDelta).toBe(0);
+  });
+
+  test('rounds to the nearest whole multiple', () => {
+    expect(planRetime(5.9, { multiple: 2 }).targetDuration).toBe(6);
+    expect(planRetime(0.9, { multiple: 2 }, { tolerance: 1.5 }).targetDuration).toBe(2);
+  });
+
+  test('returns null beyond the tolerance', () => {
+    expect(planRetime(3, { exact: 4 })).toBeNull();
+    expect(planRetime(3.9, { exact: 4 }, { tolerance: 0.01 })).toBeNull();
+  });
+});
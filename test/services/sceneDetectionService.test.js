@@ -0,0 +1,24 @@
+const { parseSceneChangeThreshold } = require('../../src/services/sceneDetectionService');
+
+describe('parseSceneChangeThreshold', () => {
+  test('defaults when unset', () => {
+    expect(parseSceneChangeThreshold(undefined)).toBe(0.3);
+    expect(parseSceneChangeThreshold('')).toBe(0.3);
+  });
+
+  test('accepts numbers and numeric strings from 0 to 1', () => {
+    expect(parseSceneChangeThreshold('0.45')).toBe(0.45);
+    expect(parseSceneChangeThreshold(0)).toBe(0);
+    expect(parseSceneChangeThreshold(1)).toBe(1);
+  });
+
+  test('rejects values outside 0-1', () => {
+    expect(() => parseSceneChangeThreshold('1.5')).toThrow('sceneChangeThreshold');
+    expect(() => parseSceneChangeThreshold(-0.1)).toThrow('sceneChangeThreshold');
+  });
+
+  test('rejects anything that is not a plain number', () => {
+    expect(() => parseSceneChangeThreshold("0.3)',drawtext=text=x")).toThrow('sceneChangeThreshold');
+    expect(() => parseSceneChangeThreshold('abc')).toThrow('sceneChangeThreshold');
+  });
+});
@@ -0,0 +1,42 @@
+const { parseStabilizationOptions } = require('../../src/services/stabilizationService');
+
+describe('parseStabilizationOptions', () => {
+  test('is null unless stabilize is true', () => {
+    expect(parseStabilizationOptions({})).toBeNull();
+    expect(parseStabilizationOptions({ stabilize: 'false', stabilizeShakiness: 'abc' })).toBeNull();
+  });
+
+  test('defaults every setting', () => {
+    expect(parseStabilizationOptions({ stabilize: 'true', stabilizeZoom: '' })).toEqual({
+      shakiness: 5,
+      smoothing: 10,
+      zoom: 0,
+      optimalZoom: 1,
+      crop: 'black'
+    });
+  });
+
+  test('parses form strings and rounds the integer settings', () => {
+    expect(parseStabilizationOptions({
+      stabilize: 'true',
+      stabilizeShakiness: '7.6',
+      stabilizeSmoothing: '30',
+      stabilizeZoom: '-12.5',
+      stabilizeOptimalZoom: '2',
+      stabilizeCrop: 'keep'
+    })).toEqual({ shakiness: 8, smoothing: 30, zoom: -12.5, optimalZoom: 2, crop: 'keep' });
+  });
+
+  test('rejects values outside each setting\'s range', () => {
+    expect(() => parseStabilizationOptions({ stabilize: 'true', stabilizeShakiness: '11' })).toThrow('from 1 to 10');
+    expect(() => parseStabilizationOptions({ stabilize: 'true', stabilizeSmoothing: '-1' })).toThrow('stabilizeSmoothing');
+    expect(() => parseStabilizationOptions({ stabilize: 'true', stabilizeZoom: '-60' })).toThrow('stabilizeZoom');
+    expect(() => parseStabilizationOptions({ stabilize: 'true', stabilizeOptimalZoom: '3' })).toThrow('stabilizeOptimalZoom');
+  });
+
+  test('rejects anything that is not a plain number or a known crop mode', () => {
+    expect(() => parseStabilizationOptions({ stabilize: 'true', stabilizeSmoothing: '10:tripod=1' }))
+      .toThrow('stabilizeSmoothing');
+    expect(() => parseStabilizationOptions({ stabilize: 'true', stabilizeCrop: 'fill' })).toThrow('stabilizeCrop');
+  });
+});
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  registerTransition,
+  unregisterTransition,
+  hasTransition,
+  listTransitions,
+  resolveTransitionParameters,
+  transitionHandle,
+  loadTransitionPlugins,
+  listFailedPlugins
+} = require('../../src/services/transitionRegistry');
+
+/**
+ * Minimal transition definition with one parameter of each type
+ */
+function testTransition(overrides = {}) {
+  return {
+    name: 'test-transition',
+    parameters: {
+      amount: { type: 'number', default: 0.5, min: 0, max: 1 },
+      steps: { type: 'integer', default: 3, min: 1, max: 10 },
+      reverse: { type: 'boolean', default: false },
+      side: { type: 'enum', values: ['left', 'right'], default: 'left' }
+    },
+    buildFilterGraph: () => ({ filters: ['[0:v]null[v]'], mapsAudio: false }),
+    ...overrides
+  };
+}
+
+afterEach(() => {
+  unregisterTransition('test-transition');
+});
+
+describe('registerTransition', () => {
+  test('registers a transition and lists it without its renderer', () => {
+    registerTransition(testTransition({ label: 'Test' }));
+
+    expect(hasTransition('test-transition')).toBe(true);
+    const listed = listTransitions().find(transition => transition.name === 'test-transition');
+    expect(listed).toEqual({
+      name: 'test-transition',
+      label: 'Test',
+      description: '',
+      parameters: testTransition().parameters
+    });
+  });
+
+  test('rejects names that are not lowercase hyphenated words', () => {
+    expect(() => registerTransition(testTransition({ name: 'Bad Name' }))).toThrow('Invalid transition name');
+    expect(() => registerTransition(testTransition({ name: '-leading' }))).toThrow('Invalid transition name');
+  });
+
+  test('requires buildFilterGraph', () => {
+    expect(() => registerTransition(testTransition({ buildFilterGraph: undefined }))).toThrow('buildFilterGraph');
+  });
+
+  test('replaces an existing transition only when asked to', () => {
+    registerTransition(testTransition());
+
+    expect(() => registerTransition(testTransition())).toThrow('already registered');
+    registerTransition(testTransition({ label: 'Replaced' }), { replace: true });
+    expect(listTransitions().find(transition => transition.name === 'test-transition').label).toBe('Replaced');
+  });
+
+  test('rejects unknown parameter types and enums without values', () => {
+    expect(() => registerTransition(testTransition({
+      parameters: { amount: { type: 'float', default: 1 } }
+    }))).toThrow('Invalid type for parameter amount');
+    expect(() => registerTransition(testTransition({
+      parameters: { side: { type: 'enum', values: [], default: 'left' } }
+    }))).toThrow('needs values');
+  });
+});
+
+describe('resolveTransitionParameters', () => {
+  beforeEach(() => {
+    registerTransition(testTransition());
+  });
+
+  test('fills in defaults for missing and empty values', () => {
+    expect(resolveTransitionParameters('test-transition', { amount: '' })).toEqual({
+      amount: 0.5,
+      steps: 3,
+      reverse: false,
+      side: 'left'
+    });
+  });
+
+  test('coerces form strings to the schema types', () => {
+    expect(resolveTransitionParameters('test-transition', {
+      amount: '0.25',
+      steps: '7',
+      reverse: 'true',
+      side: 'right'
+    })).toEqual({ amount: 0.25, steps: 7, reverse: true, side: 'right' });
+  });
+
+  test('rejects values of the wrong type', () => {
+    expect(() => resolveTransitionParameters('test-transition', { amount: 'abc' })).toThrow('expected a number');
+    expect(() => resolveTransitionParameters('test-transition', { steps: '2.5' })).toThrow('expected an integer');
+    expect(() => resolveTransitionParameters('test-transition', { reverse: 'yes' })).toThrow('expected true or false');
+    expect(() => resolveTransitionParameters('test-transition', { side: 'up' })).toThrow('expected one of left, right');
+  });
+
+  test('enforces the schema limits', () => {
+    expect(() => resolveTransitionParameters('test-transition', { amount: '1.5' })).toThrow('from 0 to 1');
+    expect(() => resolveTransitionParameters('test-transition', { steps: 0 })).toThrow('from 1 to 10');
+  });
+
+  test('rejects unknown transitions and parameters', () => {
+    expect(() => resolveTransitionParameters('no-such-transition')).toThrow('Unknown transition');
+    expect(() => resolveTransitionParameters('test-transition', { speed: 1 })).toThrow('Unknown parameter');
+  });
+});
+
+describe('transitionHandle', () => {
+  test('is the overlap the transition asks for, up to a third of the loop', () => {
+    registerTransition(testTransition({ handle: params => params.amount }));
+
+    expect(transitionHandle('test-transition', { amount: '0.25' }, 3)).toBe(0.25);
+    expect(transitionHandle('test-transition', { amount: '1' }, 1.5)).toBe(0.5);
+  });
+
+  test('is zero for transitions without a handle', () => {
+    registerTransition(testTransition());
+
+    expect(transitionHandle('test-transition', {}, 3)).toBe(0);
+    expect(transitionHandle('cut', {}, 3)).toBe(0);
+  });
+});
+
+describe('loadTransitionPlugins', () => {
+  let pluginDir;
+
+  beforeEach(() => {
+    pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transition-plugins-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    ['plugin-good', 'plugin-partial'].forEach(unregisterTransition);
+    fs.rmSync(pluginDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const writePlugin = (file, source) => fs.writeFileSync(path.join(pluginDir, file), source);
+
+  test('skips broken plugins, records why and keeps loading the rest', () => {
+    writePlugin('a-syntax.js', 'module.exports = {');
+    writePlugin('b-partial.js', `module.exports = [
+      { name: 'plugin-partial', buildFilterGraph: () => ({ filters: [], mapsAudio: false }) },
+      { name: 'Bad Name', buildFilterGraph: () => ({ filters: [], mapsAudio: false }) }
+    ];`);
+    writePlugin('c-good.js', "module.exports = { name: 'plugin-good', buildFilterGraph: () => ({ filters: [], mapsAudio: false }) };");
+    writePlugin('notes.txt', 'not a plugin');
+
+    expect(loadTransitionPlugins(pluginDir)).toEqual(['plugin-good']);
+    expect(hasTransition('plugin-good')).toBe(true);
+    // A plugin file registers all of its transitions or none
+    expect(hasTransition('plugin-partial')).toBe(false);
+
+    const failures = listFailedPlugins().filter(failure => ['a-syntax.js', 'b-partial.js'].includes(failure.file));
+    expect(failures.map(failure => failure.file)).toEqual(['a-syntax.js', 'b-partial.js']);
+    expect(failures[1].error).toContain('Invalid transition name');
+  });
+
+  test('loads nothing from a missing directory', () => {
+    expect(loadTransitionPlugins(path.join(pluginDir, 'missing'))).toEqual([]);
+  });
+});